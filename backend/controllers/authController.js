@@ -1,19 +1,229 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Task = require('../models/Task');
+const ApiToken = require('../models/ApiToken');
+const Invitation = require('../models/Invitation');
+const SecurityEvent = require('../models/SecurityEvent');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync } = require('fs');
+const archiver = require('archiver');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail
+} = require('../utils/email');
+const { generateSecret, verifyTOTP, buildOtpauthUri } = require('../utils/totp');
+const oidc = require('../utils/oidc');
+const { recordSecurityEvent } = require('../utils/securityLog');
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const OIDC_COOKIE = 'oidc_login';
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Start a new session and issue an access/refresh token pair
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: User.hashToken(refreshToken),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: getRefreshExpiry()
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Close any WebSocket connections opened with the given sessions
+const disconnectSessions = (sessionIds) => {
+  if (global.wss) {
+    sessionIds.forEach((id) => global.wss.disconnectSession(id));
+  }
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded
+const generateChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Check a TOTP code against a secret, rejecting replays of an already used code
+const checkTwoFactorCode = (user, secret, code) => {
+  const step = verifyTOTP(secret, code);
+
+  if (step === null || (user.twoFactorLastUsedStep && step <= user.twoFactorLastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Count a failed attempt and notify the owner if it locked the account
+const handleFailedLogin = async (user, req, details) => {
+  const unlockToken = await user.registerFailedLogin();
+
+  await recordSecurityEvent(req, { type: 'login', user, outcome: 'failure', details });
+
+  if (unlockToken) {
+    await recordSecurityEvent(req, {
+      type: 'account_locked',
+      user,
+      outcome: 'failure',
+      details: { lockUntil: user.lockUntil }
+    });
+
+    try {
+      await sendAccountLockedEmail(user, unlockToken, user.lockUntil);
+    } catch (error) {
+      console.error('Account locked email error:', error.message);
+    }
+  }
+};
+
+// Finish a successful login: record it and issue tokens
+const recordLogin = async (user, req, method) => {
+  user.clearLoginLock({ resetBackoff: true });
+
+  // Update last login
+  user.lastLogin = Date.now();
+  await user.save();
+
+  // Generate tokens
+  const tokens = await createSession(user, req);
+  await recordSecurityEvent(req, { type: 'login', user, details: { method } });
+
+  return tokens;
+};
+
+const sendLoginResponse = async (user, req, res, method) => {
+  const { token, refreshToken } = await recordLogin(user, req, method);
+
+  res.status(200).json({
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      avatar: user.avatar,
+      isEmailVerified: user.isEmailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      lastLogin: user.lastLogin
+    }
+  });
+};
+
+// Open sign-up can be switched off so new accounts need an invitation
+const isOpenRegistration = () => process.env.OPEN_REGISTRATION !== 'false';
+
+// @desc    Get registration settings
+// @route   GET /api/auth/registration
+// @access  Public
+exports.getRegistrationConfig = (req, res) => {
+  res.status(200).json({
+    success: true,
+    openRegistration: isOpenRegistration()
   });
 };
 
+// @desc    Look up an invitation before registering
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+exports.getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.token)
+      .populate('invitedBy', 'name');
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy?.name,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = async (req, res, next) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, password, inviteToken } = req.body;
+    let { email } = req.body;
+    let invitation;
+
+    if (inviteToken) {
+      invitation = await Invitation.findPendingByToken(inviteToken);
+
+      if (!invitation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invitation is invalid or has expired'
+        });
+      }
+
+      // The invitation decides which address the account is for
+      if (email && email.toLowerCase() !== invitation.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'This invitation was sent to a different email address'
+        });
+      }
+      email = invitation.email;
+    }
+
+    // The first account becomes an admin. Addresses in ADMIN_EMAILS are
+    // promoted once verified (see the User model), not on registration.
+    const isFirstUser = (await User.countDocuments()) === 0;
+
+    if (!invitation && !isOpenRegistration() && !isFirstUser) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is by invitation only'
+      });
+    }
+
+    if (oidc.isSsoOnlyEmail(email)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accounts for this domain are created by signing in with SSO'
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -24,25 +234,62 @@ exports.register = async (req, res, next) => {
       });
     }
 
+    const role = isFirstUser ? 'admin' : invitation?.role || 'member';
+
     // Create user
-    const user = await User.create({
+    const user = new User({
       name,
       email,
-      password
+      password,
+      role,
+      // Following the invite link already proved ownership of the address
+      isEmailVerified: Boolean(invitation)
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (invitation) {
+      await user.save();
+
+      invitation.acceptedAt = new Date();
+      invitation.acceptedBy = user._id;
+      await invitation.save();
+    } else {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+
+      // Send verification email (registration still succeeds if this fails)
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (error) {
+        console.error('Verification email error:', error.message);
+      }
+    }
+
+    const userData = {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified
+    };
+
+    // Don't issue a token until the email is confirmed
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.isEmailVerified) {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please check your email to verify your account.',
+        user: userData
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'Registration successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      }
+      refreshToken,
+      user: userData
     });
   } catch (error) {
     next(error);
@@ -64,10 +311,29 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Check for user (include password field)
-    const user = await User.findOne({ email }).select('+password');
+    // Domain-wide rule, so this doesn't reveal whether the account exists
+    if (oidc.isSsoOnlyEmail(email)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Password login is disabled for this domain. Please sign in with SSO.',
+        ssoRequired: true
+      });
+    }
+
+    // Check for user (include password and lockout fields)
+    const user = await User.findOne({ email })
+      .select('+password +failedLoginAttempts +lockUntil +lockCount');
+
+    // Locked accounts get the same response as bad credentials
+    if (!user || user.isLocked()) {
+      await recordSecurityEvent(req, {
+        type: 'login',
+        user,
+        email,
+        outcome: 'failure',
+        details: { method: 'password', reason: user ? 'account_locked' : 'unknown_email' }
+      });
 
-    if (!user) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -78,46 +344,1229 @@ exports.login = async (req, res, next) => {
     const isPasswordCorrect = await user.comparePassword(password);
 
     if (!isPasswordCorrect) {
+      await handleFailedLogin(user, req, { method: 'password', reason: 'invalid_password' });
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = Date.now();
-    await user.save();
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in'
+      });
+    }
+
+    // Second factor required: hand back a challenge instead of a session
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    await sendLoginResponse(user, req, res, 'password');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes +failedLoginAttempts +lockUntil +lockCount');
+
+    if (!user || !user.twoFactorEnabled || user.isLocked()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please log in again.'
+      });
+    }
+
+    const isValid = recoveryCode
+      ? user.useRecoveryCode(recoveryCode)
+      : checkTwoFactorCode(user, user.twoFactorSecret, code);
+
+    if (!isValid) {
+      await handleFailedLogin(user, req, {
+        method: 'two_factor',
+        reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_code'
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await sendLoginResponse(user, req, res, recoveryCode ? 'recovery_code' : 'two_factor');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email a single-use sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    if (oidc.isSsoOnlyEmail(email)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Password login is disabled for this domain. Please sign in with SSO.',
+        ssoRequired: true
+      });
+    }
+
+    // The browser keeps the nonce; the link only works alongside it.
+    // Returned whether or not the account exists so responses look the same.
+    const nonce = crypto.randomBytes(32).toString('hex');
+
+    const user = await User.findOne({ email }).select('+lockUntil');
+
+    await recordSecurityEvent(req, {
+      type: 'magic_link_requested',
+      user,
+      email,
+      outcome: user && !user.isLocked() ? 'success' : 'failure'
+    });
+
+    if (user && !user.isLocked()) {
+      const token = user.createMagicLinkToken(nonce);
+      await user.save();
+
+      try {
+        await sendMagicLinkEmail(user, token);
+      } catch (error) {
+        console.error('Sign-in link email error:', error.message);
+      }
+    }
 
     res.status(200).json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        lastLogin: user.lastLogin
-      }
+      message: 'If an account exists for that email, a sign-in link has been sent',
+      nonce
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get current user
-// @route   GET /api/auth/me
-// @access  Private
-exports.getMe = async (req, res, next) => {
+// @desc    Exchange a sign-in link for a session
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+exports.verifyMagicLink = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id);
+    const { token, nonce } = req.body;
 
-    res.status(200).json({
-      success: true,
-      user
+    const user = await User.findOne({
+      magicLinkToken: User.hashToken(String(token)),
+      magicLinkExpire: { $gt: Date.now() }
+    }).select('+magicLinkNonce +failedLoginAttempts +lockUntil +lockCount');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in link is invalid or has expired'
+      });
+    }
+
+    if (!nonce || User.hashToken(String(nonce)) !== user.magicLinkNonce) {
+      await recordSecurityEvent(req, {
+        type: 'login',
+        user,
+        outcome: 'failure',
+        details: { method: 'magic_link', reason: 'nonce_mismatch' }
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Open the sign-in link in the same browser you requested it from'
+      });
+    }
+
+    // Single use
+    user.magicLinkToken = undefined;
+    user.magicLinkNonce = undefined;
+    user.magicLinkExpire = undefined;
+
+    // Receiving the link proves the address belongs to the user
+    user.isEmailVerified = true;
+
+    if (user.isLocked()) {
+      await user.save();
+      await recordSecurityEvent(req, {
+        type: 'login',
+        user,
+        outcome: 'failure',
+        details: { method: 'magic_link', reason: 'account_locked' }
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // The link replaces the password only; a second factor is still required
+    if (user.twoFactorEnabled) {
+      await user.save();
+
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    await sendLoginResponse(user, req, res, 'magic_link');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get SSO availability
+// @route   GET /api/auth/oidc/config
+// @access  Public
+exports.getOidcConfig = (req, res) => {
+  res.status(200).json({
+    success: true,
+    enabled: oidc.isEnabled()
+  });
+};
+
+// @desc    Start SSO login (redirects to the identity provider)
+// @route   GET /api/auth/oidc/login
+// @access  Public
+exports.oidcLogin = async (req, res, next) => {
+  try {
+    if (!oidc.isEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'SSO is not configured'
+      });
+    }
+
+    const loginRequest = oidc.createLoginRequest();
+    const authorizationUrl = await oidc.buildAuthorizationUrl(loginRequest);
+
+    // Bind the attempt to this browser with a signed, short-lived cookie
+    const cookieValue = jwt.sign({
+      state: loginRequest.state,
+      nonce: loginRequest.nonce,
+      codeVerifier: loginRequest.codeVerifier
+    }, process.env.JWT_SECRET, { expiresIn: '10m' });
+
+    res.cookie(OIDC_COOKIE, cookieValue, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: '/api/auth/oidc',
+      maxAge: 10 * 60 * 1000
     });
+
+    res.redirect(authorizationUrl);
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    SSO callback from the identity provider
+// @route   GET /api/auth/oidc/callback
+// @access  Public
+exports.oidcCallback = async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const fail = (message) => {
+    recordSecurityEvent(req, {
+      type: 'login',
+      outcome: 'failure',
+      details: { method: 'sso', reason: message }
+    });
+    res.redirect(`${frontendUrl}/login?ssoError=${encodeURIComponent(message)}`);
+  };
+
+  try {
+    const { code, state, error } = req.query;
+
+    res.clearCookie(OIDC_COOKIE, { path: '/api/auth/oidc' });
+
+    if (error) {
+      return fail(req.query.error_description || 'Sign-in was cancelled');
+    }
+
+    // Read the login request cookie set by oidcLogin
+    const rawCookie = (req.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${OIDC_COOKIE}=`));
+
+    let loginRequest;
+    try {
+      loginRequest = jwt.verify(decodeURIComponent(rawCookie.split('=')[1]), process.env.JWT_SECRET);
+    } catch {
+      return fail('SSO login expired. Please try again.');
+    }
+
+    if (!code || !state || state !== loginRequest.state) {
+      return fail('Invalid SSO response. Please try again.');
+    }
+
+    const claims = await oidc.exchangeCode({
+      code,
+      codeVerifier: loginRequest.codeVerifier,
+      nonce: loginRequest.nonce
+    });
+
+    // Only a verified email may create or link an account; a missing claim
+    // could otherwise take over a password account with the same address
+    const email = String(claims.email || '').toLowerCase();
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    if (!email || !emailVerified) {
+      return fail('Your identity provider did not supply a verified email address');
+    }
+
+    let user = await User.findOne({ email });
+
+    if (user && user.ssoSubject && (user.ssoSubject !== claims.sub || user.ssoIssuer !== claims.iss)) {
+      return fail('This email is linked to a different SSO account');
+    }
+
+    if (!user) {
+      // Just-in-time provisioning, honouring any pending invitation's role
+      const isFirstUser = (await User.countDocuments()) === 0;
+      const [invitation] = await Invitation.findPending({ email });
+
+      // Same rule as register: closed registration needs an invitation
+      if (!invitation && !isOpenRegistration() && !isFirstUser) {
+        return fail('Registration is by invitation only');
+      }
+
+      user = new User({
+        name: claims.name || claims.preferred_username || email.split('@')[0],
+        email,
+        // Random password; SSO users sign in through the identity provider
+        password: crypto.randomBytes(32).toString('hex'),
+        role: isFirstUser ? 'admin' : invitation?.role || 'member'
+      });
+
+      if (invitation) {
+        invitation.acceptedAt = new Date();
+        invitation.acceptedBy = user._id;
+        await invitation.save();
+      }
+    }
+
+    user.ssoIssuer = claims.iss;
+    user.ssoSubject = claims.sub;
+    user.isEmailVerified = true;
+
+    const { token, refreshToken } = await recordLogin(user, req, 'sso');
+
+    // Tokens go in the fragment so they never reach server logs
+    const fragment = new URLSearchParams({ token, refreshToken }).toString();
+    res.redirect(`${frontendUrl}/sso/callback#${fragment}`);
+  } catch (error) {
+    console.error('SSO login error:', error.message);
+    fail('SSO login failed. Please try again.');
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    // Confirming a changed address swaps it in
+    if (user.pendingEmail) {
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+
+    await recordSecurityEvent(req, { type: 'email_verified', user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Only send if the account exists and still needs verifying
+    if (user && !user.isEmailVerified) {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (error) {
+        console.error('Verification email error:', error.message);
+      }
+    }
+
+    // Same response either way so we don't reveal which emails are registered
+    res.status(200).json({
+      success: true,
+      message: 'If that account needs verification, a new link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    await recordSecurityEvent(req, {
+      type: 'password_reset_requested',
+      user,
+      email,
+      outcome: user ? 'success' : 'failure'
+    });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (error) {
+        console.error('Password reset email error:', error.message);
+      }
+    }
+
+    // Same response either way so we don't reveal which emails are registered
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(req.params.token),
+      passwordResetExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Token is single-use
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpire = undefined;
+
+    // A fresh password makes any lockout moot
+    user.clearLoginLock();
+
+    // Following the emailed link proves ownership of the address
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+
+    await user.save();
+
+    // Sign out every device that was using the old password
+    const revokedIds = await Session.revokeAllForUser(user._id);
+    disconnectSessions(revokedIds);
+
+    await recordSecurityEvent(req, {
+      type: 'password_reset',
+      user,
+      details: { sessionsRevoked: revokedIds.length }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful. You can now log in.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock a locked account
+// @route   GET /api/auth/unlock-account/:token
+// @access  Public
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      unlockToken: User.hashToken(req.params.token),
+      unlockTokenExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unlock link is invalid or has expired'
+      });
+    }
+
+    user.clearLoginLock();
+    await user.save();
+
+    await recordSecurityEvent(req, { type: 'account_unlocked', user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can now log in.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = User.hashToken(refreshToken);
+
+    const session = await Session.findOne({
+      $or: [
+        { refreshTokenHash: tokenHash },
+        { previousRefreshTokenHash: tokenHash }
+      ]
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.'
+      });
+    }
+
+    // An already-rotated token was presented again
+    if (session.previousRefreshTokenHash === tokenHash) {
+      // Allow a short grace period for concurrent refreshes from other tabs,
+      // otherwise treat it as a stolen token and end the session
+      const graceMs = 30 * 1000;
+      if (!session.rotatedAt || Date.now() - session.rotatedAt.getTime() > graceMs) {
+        session.revokedAt = new Date();
+        await session.save();
+        disconnectSessions([session._id]);
+
+        await recordSecurityEvent(req, {
+          type: 'refresh_token_reused',
+          user: session.user,
+          outcome: 'failure',
+          details: { sessionId: session._id }
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used'
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    // Rotate the refresh token
+    const newRefreshToken = crypto.randomBytes(40).toString('hex');
+    session.previousRefreshTokenHash = tokenHash;
+    session.refreshTokenHash = User.hashToken(newRefreshToken);
+    session.rotatedAt = new Date();
+    session.lastSeenAt = new Date();
+    session.userAgent = req.get('User-Agent');
+    session.ip = req.ip;
+    session.expiresAt = getRefreshExpiry();
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      token: generateToken(user._id, session._id),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout (revoke current session)
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res, next) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    await req.authSession.save();
+    disconnectSessions([req.authSession._id]);
+
+    await recordSecurityEvent(req, { type: 'logout', user: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    session.revokedAt = new Date();
+    await session.save();
+    disconnectSessions([session._id]);
+
+    await recordSecurityEvent(req, {
+      type: 'session_revoked',
+      user: req.user,
+      details: { sessionId: session._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all sessions (sign out everywhere)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeAllSessions = async (req, res, next) => {
+  try {
+    const revokedIds = await Session.revokeAllForUser(req.user.id);
+    disconnectSessions(revokedIds);
+
+    await recordSecurityEvent(req, {
+      type: 'session_revoked',
+      user: req.user,
+      details: { count: revokedIds.length }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'All sessions revoked',
+      count: revokedIds.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    req.user.twoFactorPendingSecret = secret;
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri(secret, req.user.email)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm two-factor enrolment with a first code
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorPendingSecret +twoFactorLastUsedStep');
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!checkTwoFactorCode(user, user.twoFactorPendingSecret, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save();
+
+    await recordSecurityEvent(req, { type: 'two_factor_enabled', user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordCorrect = password && await user.comparePassword(password);
+    const isCodeValid = recoveryCode
+      ? user.useRecoveryCode(recoveryCode)
+      : checkTwoFactorCode(user, user.twoFactorSecret, code);
+
+    if (!isPasswordCorrect || !isCodeValid) {
+      await recordSecurityEvent(req, { type: 'two_factor_disabled', user, outcome: 'failure' });
+
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    await user.save();
+
+    await recordSecurityEvent(req, { type: 'two_factor_disabled', user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user
+// @route   GET /api/auth/me
+// @access  Private
+exports.getMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update profile (name, email)
+// @route   PUT /api/auth/me
+// @access  Private
+exports.updateMe = async (req, res, next) => {
+  try {
+    const { name, email } = req.body;
+    const user = await User.findById(req.user.id);
+    let message = 'Profile updated';
+    let verificationToken = null;
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+
+    if (email && email !== user.email) {
+      if (oidc.isSsoOnlyEmail(user.email) || oidc.isSsoOnlyEmail(email)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Email addresses for SSO domains are managed by your identity provider'
+        });
+      }
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already registered'
+        });
+      }
+
+      // Keep the current address until the new one is confirmed
+      user.pendingEmail = email;
+      verificationToken = user.createEmailVerificationToken();
+      message = `Profile updated. Check ${email} to confirm your new address.`;
+    }
+
+    await user.save();
+
+    // Only send the link once its token hash is stored
+    if (verificationToken) {
+      try {
+        await sendVerificationEmail({ name: user.name, email }, verificationToken);
+      } catch (error) {
+        console.error('Verification email error:', error.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+exports.updatePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+      await recordSecurityEvent(req, { type: 'password_changed', user, outcome: 'failure' });
+
+      return res.status(403).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other device
+    const revokedIds = await Session.revokeAllForUser(user._id, req.authSession._id);
+    disconnectSessions(revokedIds);
+
+    await recordSecurityEvent(req, {
+      type: 'password_changed',
+      user,
+      details: { sessionsRevoked: revokedIds.length }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated',
+      sessionsRevoked: revokedIds.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove an avatar file from disk
+const deleteAvatarFile = async (filename) => {
+  if (!filename) return;
+
+  const filePath = path.join(process.env.UPLOAD_PATH || './uploads', filename);
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    console.error('Error deleting avatar:', err);
+  }
+};
+
+// @desc    Upload avatar
+// @route   PUT /api/auth/me/avatar
+// @access  Private
+exports.uploadAvatar = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an image'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const previousAvatar = user.avatar;
+
+    user.avatar = req.file.filename;
+    await user.save();
+    await deleteAvatarFile(previousAvatar);
+
+    res.status(200).json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove avatar
+// @route   DELETE /api/auth/me/avatar
+// @access  Private
+exports.deleteAvatar = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const previousAvatar = user.avatar;
+
+    user.avatar = undefined;
+    await user.save();
+    await deleteAvatarFile(previousAvatar);
+
+    res.status(200).json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download a copy of the current user's data
+// @route   GET /api/auth/me/export
+// @access  Private
+exports.exportMyData = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const user = await User.findById(userId);
+
+    const tasks = await Task.find({
+      $or: [
+        { createdBy: userId },
+        { assignedTo: userId },
+        { coAssignees: userId },
+        { watchers: userId },
+        { 'comments.user': userId },
+        { 'attachments.uploadedBy': userId },
+        { 'auditHistory.user': userId }
+      ]
+    });
+
+    const ownTasks = tasks.filter(task =>
+      task.createdBy.equals(userId) ||
+      task.assignedTo.equals(userId) ||
+      task.coAssignees.some(id => id.equals(userId)) ||
+      task.watchers.some(id => id.equals(userId))
+    );
+
+    const comments = [];
+    const auditEntries = [];
+    const attachments = [];
+
+    tasks.forEach((task) => {
+      const taskRef = { taskId: task._id, taskTitle: task.title };
+
+      task.comments
+        .filter(comment => comment.user.equals(userId))
+        .forEach(comment => comments.push({ ...taskRef, ...comment.toObject() }));
+
+      task.auditHistory
+        .filter(entry => entry.user.equals(userId))
+        .forEach(entry => auditEntries.push({ ...taskRef, ...entry.toObject() }));
+
+      task.attachments
+        .filter(attachment => attachment.uploadedBy.equals(userId))
+        .forEach(attachment => attachments.push({ ...taskRef, ...attachment.toObject() }));
+    });
+
+    const sessions = await Session.find({ user: userId });
+    const apiTokens = await ApiToken.find({ user: userId });
+    const securityEvents = await SecurityEvent.find({ user: userId }).sort({ createdAt: -1 });
+
+    const toJson = (data) => JSON.stringify(data, null, 2);
+    const uploadDir = process.env.UPLOAD_PATH || './uploads';
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', (err) => console.error('Export warning:', err));
+    archive.on('error', (err) => {
+      console.error('Export error:', err);
+      res.destroy(err);
+    });
+
+    res.attachment(`account-export-${new Date().toISOString().slice(0, 10)}.zip`);
+    archive.pipe(res);
+
+    archive.append(toJson(user), { name: 'profile.json' });
+    archive.append(toJson(ownTasks.map(task => {
+      // Comments and audit entries are exported separately, limited to the user's own
+      const data = task.toObject();
+      delete data.comments;
+      delete data.auditHistory;
+      return data;
+    })), { name: 'tasks.json' });
+    archive.append(toJson(comments), { name: 'comments.json' });
+    archive.append(toJson(auditEntries), { name: 'audit.json' });
+    archive.append(toJson(attachments), { name: 'attachments.json' });
+    archive.append(toJson({ sessions, apiTokens, securityEvents }), { name: 'security.json' });
+
+    // Files the user uploaded
+    attachments.forEach((attachment) => {
+      const filePath = path.join(uploadDir, attachment.filename);
+      if (existsSync(filePath)) {
+        // Upload names come from the client, so keep only the last path segment
+        const fileName = path.basename(attachment.originalName.replace(/\\/g, '/'));
+        archive.file(filePath, { name: `attachments/${attachment._id}-${fileName}` });
+      }
+    });
+
+    if (user.avatar && existsSync(path.join(uploadDir, user.avatar))) {
+      archive.file(path.join(uploadDir, user.avatar), { name: `avatar/${user.avatar}` });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Schedule deletion of the current user's account
+// @route   POST /api/auth/me/deletion
+// @access  Private
+exports.scheduleAccountDeletion = async (req, res, next) => {
+  try {
+    const { password, confirmEmail, reassignTo } = req.body;
+    const user = await User.findById(req.user.id).select('+password');
+
+    // SSO accounts have no usable password, so confirm with the email instead
+    const confirmed = user.ssoSubject
+      ? String(confirmEmail || '').toLowerCase() === user.email
+      : Boolean(password) && await user.comparePassword(password);
+
+    if (!confirmed) {
+      await recordSecurityEvent(req, { type: 'account_deletion_scheduled', user, outcome: 'failure' });
+
+      return res.status(403).json({
+        success: false,
+        message: user.ssoSubject ? 'Please type your email address to confirm' : 'Password is incorrect'
+      });
+    }
+
+    // Always keep at least one admin
+    if (user.role === 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot delete the last admin. Promote another admin first.'
+        });
+      }
+    }
+
+    const taskCount = await Task.countDocuments({
+      assignedTo: user._id,
+      isDeleted: false
+    });
+
+    let reassignUser;
+    if (taskCount > 0) {
+      if (!reassignTo) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have assigned tasks. Please choose someone to reassign them to.',
+          taskCount
+        });
+      }
+
+      reassignUser = mongoose.isValidObjectId(reassignTo) && await User.findById(reassignTo);
+      if (!reassignUser || reassignUser._id.equals(user._id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reassign target user not found'
+        });
+      }
+    }
+
+    const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+    user.deletionScheduledAt = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+    user.deletionReassignTo = reassignUser?._id;
+    await user.save();
+
+    await recordSecurityEvent(req, {
+      type: 'account_deletion_scheduled',
+      user,
+      details: { deletionScheduledAt: user.deletionScheduledAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletionScheduledAt.toDateString()}`,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a scheduled account deletion
+// @route   DELETE /api/auth/me/deletion
+// @access  Private
+exports.cancelAccountDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    user.deletionScheduledAt = undefined;
+    user.deletionReassignTo = undefined;
+    await user.save();
+
+    await recordSecurityEvent(req, { type: 'account_deletion_cancelled', user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
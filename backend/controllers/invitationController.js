@@ -0,0 +1,155 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { sendInvitationEmail } = require('../utils/email');
+
+const getExpiryDays = (expiresInDays) => {
+  const days = parseInt(expiresInDays);
+  return days > 0 ? days : parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+};
+
+// Email the invite link; the invitation is kept even if sending fails
+const deliverInvitation = async (invitation, token, inviter) => {
+  try {
+    await sendInvitationEmail(invitation, token, inviter);
+    return true;
+  } catch (error) {
+    console.error('Invitation email error:', error.message);
+    return false;
+  }
+};
+
+// @desc    Get pending invitations
+// @route   GET /api/invitations
+// @access  Private/Admin
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const invitations = await Invitation.findPending()
+      .populate('invitedBy', 'name email avatar')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite someone to the workspace
+// @route   POST /api/invitations
+// @access  Private/Admin
+exports.createInvitation = async (req, res, next) => {
+  try {
+    const { email, role, expiresInDays } = req.body;
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    const pending = await Invitation.findPending({ email: normalizedEmail });
+    if (pending.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email already has a pending invitation. Resend it instead.'
+      });
+    }
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      role,
+      invitedBy: req.user.id
+    });
+    const token = invitation.issueToken(getExpiryDays(expiresInDays));
+    await invitation.save();
+
+    const sent = await deliverInvitation(invitation, token, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: sent
+        ? `Invitation sent to ${invitation.email}`
+        : 'Invitation created, but the email could not be sent. Try resending it.',
+      invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend an invitation with a fresh link and expiry
+// @route   POST /api/invitations/:id/resend
+// @access  Private/Admin
+exports.resendInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      acceptedAt: null,
+      revokedAt: null
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    // The previous link stops working once a new token is issued
+    const token = invitation.issueToken(getExpiryDays(req.body.expiresInDays));
+    await invitation.save();
+
+    const sent = await deliverInvitation(invitation, token, req.user);
+
+    if (!sent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send invitation email'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Invitation resent to ${invitation.email}`,
+      invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private/Admin
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      acceptedAt: null,
+      revokedAt: null
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const SavedView = require('../models/SavedView');
+
+const EDITABLE_FIELDS = ['name', 'filters', 'sort', 'columns', 'shared'];
+
+// Shape returned to clients
+const formatView = (view, userId) => ({
+  id: view._id,
+  name: view.name,
+  filters: view.filters,
+  sort: view.sort,
+  columns: view.columns,
+  shared: view.shared,
+  owner: view.owner,
+  isOwner: (view.owner?._id || view.owner).toString() === userId.toString(),
+  createdAt: view.createdAt,
+  updatedAt: view.updatedAt
+});
+
+// Find a view the user owns, answering 404/403 when they can't change it
+const findOwnView = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ success: false, message: 'View not found' });
+    return null;
+  }
+
+  const view = await SavedView.findOne({
+    _id: req.params.id,
+    ...SavedView.visibleTo(req.user.id)
+  });
+
+  if (!view) {
+    res.status(404).json({ success: false, message: 'View not found' });
+    return null;
+  }
+
+  if (view.owner.toString() !== req.user.id.toString()) {
+    res.status(403).json({ success: false, message: 'Only the owner can change this view' });
+    return null;
+  }
+
+  return view;
+};
+
+// @desc    Get current user's views and views shared by others
+// @route   GET /api/views
+// @access  Private
+exports.getViews = async (req, res, next) => {
+  try {
+    const views = await SavedView.find(SavedView.visibleTo(req.user.id))
+      .sort({ name: 1 })
+      .populate('owner', 'name email avatar');
+
+    res.status(200).json({
+      success: true,
+      count: views.length,
+      views: views.map(view => formatView(view, req.user.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single view
+// @route   GET /api/views/:id
+// @access  Private
+exports.getView = async (req, res, next) => {
+  try {
+    const view = mongoose.isValidObjectId(req.params.id) && await SavedView.findOne({
+      _id: req.params.id,
+      ...SavedView.visibleTo(req.user.id)
+    }).populate('owner', 'name email avatar');
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      view: formatView(view, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create view
+// @route   POST /api/views
+// @access  Private
+exports.createView = async (req, res, next) => {
+  try {
+    const fields = Object.fromEntries(
+      EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    const view = await SavedView.create({ ...fields, owner: req.user.id });
+    await view.populate('owner', 'name email avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved',
+      view: formatView(view, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update view
+// @route   PUT /api/views/:id
+// @access  Private (owner)
+exports.updateView = async (req, res, next) => {
+  try {
+    const view = await findOwnView(req, res);
+    if (!view) return;
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        view[field] = req.body[field];
+      }
+    });
+
+    await view.save();
+    await view.populate('owner', 'name email avatar');
+
+    res.status(200).json({
+      success: true,
+      message: 'View updated',
+      view: formatView(view, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete view
+// @route   DELETE /api/views/:id
+// @access  Private (owner)
+exports.deleteView = async (req, res, next) => {
+  try {
+    const view = await findOwnView(req, res);
+    if (!view) return;
+
+    await view.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'View deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
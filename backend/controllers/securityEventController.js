@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const SecurityEvent = require('../models/SecurityEvent');
+
+const MAX_LIMIT = 200;
+
+const getLimit = (limit, fallback) => Math.max(1, Math.min(parseInt(limit) || fallback, MAX_LIMIT));
+
+// @desc    Get current user's recent security events
+// @route   GET /api/security-events/me
+// @access  Private
+exports.getMyEvents = async (req, res, next) => {
+  try {
+    const events = await SecurityEvent.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(getLimit(req.query.limit, 50));
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Search security events across all users
+// @route   GET /api/security-events
+// @access  Private/Admin
+exports.getEvents = async (req, res, next) => {
+  try {
+    const { type, user, email, outcome, ip, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = getLimit(req.query.limit, 50);
+
+    // Build query (values are cast to strings so operators can't be injected)
+    const query = {};
+
+    if (type) query.type = { $in: String(type).split(',') };
+    if (outcome) query.outcome = String(outcome);
+    if (email) query.email = String(email).toLowerCase();
+    if (ip) query.ip = String(ip);
+
+    if (user) {
+      if (!mongoose.isValidObjectId(String(user))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+      query.user = String(user);
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(String(from));
+      if (to) query.createdAt.$lte = new Date(String(to));
+
+      if (Object.values(query.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range'
+        });
+      }
+    }
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name email avatar'),
+      SecurityEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      types: SecurityEvent.EVENT_TYPES,
+      events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Opt in or out of new device sign-in alerts
+// @route   PUT /api/security-events/alerts
+// @access  Private/Admin
+exports.updateAlertSettings = async (req, res, next) => {
+  try {
+    const { newDeviceAlerts } = req.body;
+
+    // Parse strictly: Boolean('false') would turn alerts on
+    if (![true, false, 'true', 'false'].includes(newDeviceAlerts)) {
+      return res.status(400).json({
+        success: false,
+        message: 'newDeviceAlerts must be true or false'
+      });
+    }
+
+    req.user.newDeviceAlerts = newDeviceAlerts === true || newDeviceAlerts === 'true';
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      message: req.user.newDeviceAlerts
+        ? 'New device sign-in alerts enabled'
+        : 'New device sign-in alerts disabled',
+      user: req.user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
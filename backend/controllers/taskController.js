@@ -1,68 +1,1635 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const User = require('../models/User');
+const SavedView = require('../models/SavedView');
+const { sendTaskAssignedEmail } = require('../utils/email');
 const fs = require('fs').promises;
 const path = require('path');
+const {
+  SCOPES,
+  getTaskRights,
+  getAssigneeIds,
+  canEditTask,
+  canReassignTask,
+  canDeleteTask,
+  visibleTasksQuery,
+  findVisibleTask,
+  getTaskParticipants
+} = require('../utils/taskAccess');
+const {
+  withTaskState,
+  hasOpenChildren,
+  isSelfOrAncestor,
+  findOpenBlockers,
+  wouldCreateCycle
+} = require('../utils/taskHierarchy');
+const { parseRule, formatRule, createNextOccurrence } = require('../utils/recurrence');
+const {
+  encodeCursor,
+  cursorQuery,
+  encodeOffsetCursor,
+  decodeOffsetCursor
+} = require('../utils/pagination');
+const { parseSearchQuery, buildHighlights } = require('../utils/taskSearch');
+const { DELETION_DATE, getRetentionDays, getPurgeDate } = require('../utils/trash');
+
+const { SORT_FIELDS } = SavedView;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Requested page size, kept between 1 and MAX_PAGE_SIZE
+const getPageSize = (limit) =>
+  Math.max(1, Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+const BULK_ACTIONS = ['status', 'priority', 'addTags', 'removeTags', 'reassign', 'shiftDueDate', 'delete'];
+const MAX_BULK_TASKS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Task lists leave out comments, attachments and audit history (only
+// getTask returns those) and report how many there are instead
+const TASK_SUMMARY_PROJECTION = {
+  ...Object.fromEntries([
+    'title', 'description', 'assignedTo', 'coAssignees', 'watchers', 'createdBy',
+    'status', 'priority', 'dueDate', 'tags', 'parent', 'requireChildrenComplete',
+    'blockedBy', 'checklist', 'recurrence', 'series', 'occurrence', 'nextOccurrence',
+    'completedAt', 'isDeleted', 'createdAt', 'updatedAt'
+  ].map(field => [field, 1])),
+  commentCount: { $size: { $ifNull: ['$comments', []] } },
+  attachmentCount: { $size: { $ifNull: ['$attachments', []] } },
+  auditCount: { $size: { $ifNull: ['$auditHistory', []] } }
+};
+
+// Send a WebSocket message to everyone involved in a task
+const broadcastToParticipants = (task, message) => {
+  if (global.wss) {
+    getTaskParticipants(task).forEach((userId) => {
+      global.wss.broadcastToUser(userId, message);
+    });
+  }
+};
+
+// Broadcast a change that may have added or removed participants: newcomers
+// get the task as created, users who left get it as deleted
+const broadcastParticipantChanges = (task, previousParticipants, populatedTask) => {
+  if (!global.wss) return;
+
+  const participants = getTaskParticipants(task);
+
+  previousParticipants
+    .filter(userId => !participants.includes(userId))
+    .forEach((userId) => {
+      global.wss.broadcastToUser(userId, {
+        type: 'TASK_DELETED',
+        taskId: task._id,
+        reason: 'removed'
+      });
+    });
+
+  participants.forEach((userId) => {
+    global.wss.broadcastToUser(userId, {
+      type: previousParticipants.includes(userId) ? 'TASK_UPDATED' : 'TASK_CREATED',
+      task: populatedTask
+    });
+  });
+};
+
+// Collects task changes per user so an operation on many tasks sends each
+// user a single TASKS_CHANGED message instead of one message per task
+const createChangeBatch = () => {
+  const batches = new Map();
+
+  const batchFor = (userId) => {
+    const key = userId.toString();
+    if (!batches.has(key)) {
+      batches.set(key, { created: new Map(), updated: new Map(), deleted: new Set(), notices: [] });
+    }
+    return batches.get(key);
+  };
+
+  // `kind` is 'created' or 'updated'; the first copy of a task added wins
+  const addTask = (userIds, kind, task) => {
+    userIds.forEach((userId) => {
+      const tasks = batchFor(userId)[kind];
+      if (!tasks.has(task._id.toString())) {
+        tasks.set(task._id.toString(), task);
+      }
+    });
+  };
+
+  return {
+    addTask,
+
+    addDeleted: (userIds, taskId) => {
+      userIds.forEach(userId => batchFor(userId).deleted.add(taskId.toString()));
+    },
+
+    // Same rules as broadcastParticipantChanges
+    addParticipantChanges: (task, previousParticipants, populatedTask) => {
+      const participants = getTaskParticipants(task);
+
+      previousParticipants
+        .filter(userId => !participants.includes(userId))
+        .forEach(userId => batchFor(userId).deleted.add(task._id.toString()));
+
+      addTask(participants.filter(userId => previousParticipants.includes(userId)), 'updated', populatedTask);
+      addTask(participants.filter(userId => !previousParticipants.includes(userId)), 'created', populatedTask);
+    },
+
+    // Other messages (e.g. BLOCKER_COMPLETED) ride along in `notices`
+    notify: (userId, message) => {
+      batchFor(userId).notices.push(message);
+    },
+
+    send: () => {
+      if (!global.wss) return;
+
+      batches.forEach((batch, userId) => {
+        global.wss.broadcastToUser(userId, {
+          type: 'TASKS_CHANGED',
+          created: [...batch.created.values()],
+          updated: [...batch.updated.values()],
+          deleted: [...batch.deleted],
+          notices: batch.notices
+        });
+      });
+    }
+  };
+};
+
+// A task with its people populated, as clients expect in broadcasts
+const findPopulatedTask = (query) => Task.findOne(query)
+  .populate('assignedTo', 'name email avatar')
+  .populate('coAssignees', 'name email avatar')
+  .populate('watchers', 'name email avatar')
+  .populate('createdBy', 'name email avatar');
+
+// Subtask changes move the parent's progress, so let its participants know
+const broadcastParentUpdate = async (task) => {
+  if (!task.parent || !global.wss) return;
+
+  const parent = await findPopulatedTask({ _id: task.parent, isDeleted: false });
+  if (parent) {
+    broadcastToParticipants(parent, {
+      type: 'TASK_UPDATED',
+      task: parent
+    });
+  }
+};
+
+// Let the assignees of tasks waiting on a completed task know it's done
+const notifyDependents = async (task, send = (userId, message) => global.wss.broadcastToUser(userId, message)) => {
+  if (!global.wss) return;
+
+  const dependents = await Task.find({ blockedBy: task._id, isDeleted: false });
+
+  for (const dependent of dependents) {
+    const stillBlocked = (await findOpenBlockers(dependent)).length > 0;
+
+    getAssigneeIds(dependent).forEach((userId) => {
+      send(userId, {
+        type: 'BLOCKER_COMPLETED',
+        taskId: dependent._id,
+        taskTitle: dependent.title,
+        blockerId: task._id,
+        blockerTitle: task.title,
+        unblocked: !stillBlocked
+      });
+    });
+  }
+};
+
+// Check that a task may move to a new status. Returns `{ error }` with the
+// HTTP status and response fields when it can't, otherwise the open blockers
+// being overridden.
+const checkStatusChange = async (task, status, { requireChildrenComplete, overrideBlockers }) => {
+  // Prevent reverting from Completed
+  if (task.status === 'Completed' && status !== 'Completed') {
+    return { error: { statusCode: 400, message: 'Cannot revert status from Completed' } };
+  }
+
+  const blockCompletion = requireChildrenComplete ?? task.requireChildrenComplete;
+  if (status === 'Completed' && blockCompletion && await hasOpenChildren(task)) {
+    return { error: { statusCode: 400, message: 'Complete all subtasks and checklist items first' } };
+  }
+
+  // A task can't start while the tasks it depends on are open
+  const openBlockers = ['In Progress', 'Completed'].includes(status) ? await findOpenBlockers(task) : [];
+  if (openBlockers.length > 0 && !overrideBlockers) {
+    return {
+      error: {
+        statusCode: 400,
+        message: `Task is blocked by: ${openBlockers.map(blocker => blocker.title).join(', ')}`,
+        blocked: true,
+        blockers: openBlockers
+      }
+    };
+  }
+
+  return { openBlockers };
+};
+
+// Why a bulk action's value is invalid, or null if it's fine
+const bulkValueError = (action, value) => {
+  switch (action) {
+    case 'status':
+      return ['To Do', 'In Progress', 'Completed'].includes(value) ? null : 'Invalid status';
+    case 'priority':
+      return ['High', 'Medium', 'Low'].includes(value) ? null : 'Invalid priority';
+    case 'addTags':
+    case 'removeTags':
+      return Array.isArray(value) && value.length > 0 && value.every(tag => typeof tag === 'string' && tag.trim())
+        ? null
+        : 'Tags must be a non-empty list of tag names';
+    case 'reassign':
+      return mongoose.isValidObjectId(value) ? null : 'Invalid assignee';
+    case 'shiftDueDate':
+      return Number.isInteger(value) && value !== 0 ? null : 'Due date shift must be a whole, non-zero number of days';
+    default:
+      return null;
+  }
+};
+
+// Apply a bulk action to a task in memory, checking the user may do it.
+// Returns `{ error }` when the task is skipped, otherwise whether it changed.
+const applyBulkAction = async (task, action, value, { user, newAssignee, overrideBlockers }) => {
+  const forbidden = (message) => ({ error: { statusCode: 403, message } });
+
+  if (action === 'delete') {
+    if (!canDeleteTask(task, user)) {
+      return forbidden('You do not have permission to delete this task');
+    }
+
+    task.isDeleted = true;
+    task.deletedAt = new Date();
+    task.deletedBy = user.id;
+    task.addAuditEntry(user.id, 'deleted', { description: 'Moved to trash in a bulk update' });
+    return { changed: true };
+  }
+
+  if (action === 'reassign') {
+    if (!canReassignTask(task, user)) {
+      return forbidden('You do not have permission to reassign this task');
+    }
+
+    if (task.assignedTo.equals(newAssignee._id)) {
+      return { changed: false };
+    }
+
+    const previousAssignee = await User.findById(task.assignedTo);
+
+    task.addAuditEntry(user.id, 'reassigned', {
+      field: 'assignedTo',
+      oldValue: task.assignedTo,
+      newValue: newAssignee._id,
+      description: `Reassigned from ${previousAssignee?.name || 'a deleted user'} to ${newAssignee.name} in a bulk update`
+    });
+    task.assignedTo = newAssignee._id;
+    task.coAssignees.pull(newAssignee._id);
+    return { changed: true };
+  }
+
+  if (!canEditTask(task, user)) {
+    return forbidden('You do not have permission to edit this task');
+  }
+
+  switch (action) {
+    case 'status': {
+      if (task.status === value) {
+        return { changed: false };
+      }
+
+      const { error, openBlockers } = await checkStatusChange(task, value, { overrideBlockers });
+      if (error) {
+        return { error };
+      }
+
+      task.addAuditEntry(user.id, 'status_changed', {
+        field: 'status',
+        oldValue: task.status,
+        newValue: value,
+        description: openBlockers.length > 0
+          ? `Moved to ${value} in a bulk update despite open blockers: ${openBlockers.map(blocker => blocker.title).join(', ')}`
+          : `Moved to ${value} in a bulk update`
+      });
+      task.status = value;
+      return { changed: true };
+    }
+    case 'priority':
+      if (task.priority === value) {
+        return { changed: false };
+      }
+
+      task.addAuditEntry(user.id, 'priority_changed', {
+        field: 'priority',
+        oldValue: task.priority,
+        newValue: value,
+        description: `Priority set to ${value} in a bulk update`
+      });
+      task.priority = value;
+      return { changed: true };
+    case 'addTags':
+    case 'removeTags': {
+      const tags = value.map(tag => tag.trim());
+      const newTags = action === 'addTags'
+        ? [...new Set([...task.tags, ...tags])]
+        : task.tags.filter(tag => !tags.includes(tag));
+
+      if (newTags.length === task.tags.length) {
+        return { changed: false };
+      }
+
+      task.addAuditEntry(user.id, 'updated', {
+        field: 'tags',
+        oldValue: [...task.tags],
+        newValue: newTags,
+        description: `Tags ${action === 'addTags' ? 'added' : 'removed'} in a bulk update: ${tags.join(', ')}`
+      });
+      task.tags = newTags;
+      return { changed: true };
+    }
+    case 'shiftDueDate': {
+      const dueDate = new Date(task.dueDate.getTime() + value * DAY_MS);
+
+      task.addAuditEntry(user.id, 'updated', {
+        field: 'dueDate',
+        oldValue: task.dueDate,
+        newValue: dueDate,
+        description: `Due date moved ${Math.abs(value)} day(s) ${value > 0 ? 'later' : 'earlier'} in a bulk update`
+      });
+      task.dueDate = dueDate;
+      return { changed: true };
+    }
+    default:
+      return { changed: false };
+  }
+};
+
+// Query for the tasks in a scope that match list filters, along with the
+// parsed search (its free text drives ranking and snippets)
+const buildTaskQuery = async ({ status, priority, tags, search, scope }, userId) => {
+  const query = {
+    isDeleted: false,
+    $and: [visibleTasksQuery(userId, scope)]
+  };
+
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (tags) query.tags = { $in: tags.split(',') };
+
+  // Search filters narrow the query; free text goes to the text index
+  const searchQuery = await parseSearchQuery(search, userId);
+  query.$and.push(...searchQuery.conditions);
+  if (searchQuery.text) {
+    query.$text = { $search: searchQuery.text };
+  }
+
+  return { query, searchQuery };
+};
+
+// Look up users by id, returning null if any id is invalid or unknown
+const findUsers = async (ids) => {
+  const uniqueIds = [...new Set(ids.map(String))];
+
+  if (!uniqueIds.every(id => mongoose.isValidObjectId(id))) {
+    return null;
+  }
+
+  const users = await User.find({ _id: { $in: uniqueIds } });
+  return users.length === uniqueIds.length ? users : null;
+};
 
-// @desc    Get all tasks assigned to current user
+// @desc    Get tasks assigned to or created by current user
 // @route   GET /api/tasks
 // @access  Private
 exports.getTasks = async (req, res, next) => {
   try {
-    const { status, priority, tags, search, sortBy = 'dueDate', order = 'asc' } = req.query;
+    // A saved view supplies defaults; explicit query parameters win
+    let viewQuery = {};
+    if (req.query.view) {
+      const view = mongoose.isValidObjectId(req.query.view) && await SavedView.findOne({
+        _id: req.query.view,
+        ...SavedView.visibleTo(req.user.id)
+      });
 
-    // Build query
-    const query = {
-      assignedTo: req.user.id,
-      isDeleted: false
-    };
+      if (!view) {
+        return res.status(404).json({
+          success: false,
+          message: 'View not found'
+        });
+      }
+
+      viewQuery = view.toTaskQuery();
+    }
+
+    const params = { ...viewQuery, ...req.query };
+    const {
+      status,
+      priority,
+      tags,
+      search,
+      scope = 'assigned',
+      sortBy = 'dueDate',
+      order = 'asc',
+      cursor
+    } = params;
+
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scope must be one of: ${SCOPES.join(', ')}`
+      });
+    }
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${SORT_FIELDS.join(', ')}`
+      });
+    }
+
+    const limit = getPageSize(params.limit);
+
+    const { query, searchQuery } = await buildTaskQuery({ status, priority, tags, search, scope }, req.user.id);
+
+    // Text searches rank by relevance unless another sort is asked for.
+    // Without search text a relevance sort falls back to the default order.
+    const rankByRelevance = Boolean(searchQuery.text) && (!params.sortBy || sortBy === 'relevance');
+    const sortField = sortBy === 'relevance' ? 'dueDate' : sortBy;
+    const projection = searchQuery.text
+      ? { ...TASK_SUMMARY_PROJECTION, 'comments.text': 1, score: { $meta: 'textScore' } }
+      : TASK_SUMMARY_PROJECTION;
+
+    // Build sort (_id breaks ties so pages don't overlap)
+    const sortOrder = sortBy !== 'relevance' && order === 'desc' ? -1 : 1;
+    const sort = rankByRelevance
+      ? { score: { $meta: 'textScore' }, _id: 1 }
+      : { [sortField]: sortOrder, _id: sortOrder };
+
+    const total = await Task.countDocuments(query);
+
+    const offset = rankByRelevance && cursor ? decodeOffsetCursor(cursor) : 0;
+    if (cursor && !rankByRelevance) {
+      query.$and.push(cursorQuery(cursor, sortField, sortOrder));
+    }
+
+    // Fetch one extra task to tell whether there is another page
+    const tasks = await Task.find(query, projection)
+      .sort(sort)
+      .skip(offset)
+      .limit(limit + 1)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('checklist.assignee', 'name email avatar')
+      .lean();
+
+    const hasMore = tasks.length > limit;
+    const page = tasks.slice(0, limit);
+
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = rankByRelevance
+        ? encodeOffsetCursor(offset + limit)
+        : encodeCursor(page[page.length - 1], sortField);
+    }
+
+    // Comment text is only fetched to build snippets
+    if (searchQuery.text) {
+      page.forEach((task) => {
+        task.highlights = buildHighlights(task, searchQuery.highlightTerms);
+        delete task.comments;
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      total,
+      hasMore,
+      nextCursor,
+      rights: getTaskRights(),
+      tasks: await withTaskState(page)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single task
+// @route   GET /api/tasks/:id
+// @access  Private
+exports.getTask = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('comments.user', 'name email avatar')
+      .populate('attachments.uploadedBy', 'name email avatar')
+      .populate('checklist.assignee', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const [taskWithState] = await withTaskState([task]);
+
+    res.status(200).json({
+      success: true,
+      task: taskWithState
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create task
+// @route   POST /api/tasks
+// @access  Private
+exports.createTask = async (req, res, next) => {
+  try {
+    const {
+      title,
+      description,
+      assignedTo,
+      dueDate,
+      priority,
+      tags,
+      coAssignees,
+      requireChildrenComplete,
+      recurrence
+    } = req.body;
+
+    const recurrenceRule = recurrence ? parseRule(recurrence, new Date(dueDate)) : undefined;
+
+    // Verify assigned user exists
+    const assignedUser = await User.findById(assignedTo);
+    if (!assignedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assigned user not found'
+      });
+    }
+
+    const coAssigneeIds = [...new Set((Array.isArray(coAssignees) ? coAssignees : []).map(String))]
+      .filter(id => id !== assignedUser.id);
+    const coAssigneeUsers = await findUsers(coAssigneeIds);
+    if (!coAssigneeUsers) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more co-assignees were not found'
+      });
+    }
+
+    const task = await Task.create({
+      title,
+      description,
+      assignedTo,
+      coAssignees: coAssigneeIds,
+      createdBy: req.user.id,
+      dueDate,
+      priority: priority || 'Medium',
+      tags: tags || [],
+      requireChildrenComplete: Boolean(requireChildrenComplete),
+      recurrence: recurrenceRule,
+      status: 'To Do'
+    });
+
+    // Add audit entry
+    task.addAuditEntry(req.user.id, 'created', {
+      description: `Task created and assigned to ${[assignedUser, ...coAssigneeUsers].map(u => u.name).join(', ')}`
+    });
+
+    if (recurrenceRule) {
+      task.addAuditEntry(req.user.id, 'recurrence_updated', {
+        field: 'recurrence',
+        newValue: formatRule(recurrenceRule),
+        description: `Repeats: ${formatRule(recurrenceRule)}`
+      });
+    }
+    await task.save();
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar');
+
+    // Broadcast to WebSocket clients
+    broadcastToParticipants(task, {
+      type: 'TASK_CREATED',
+      task: populatedTask
+    });
+
+    res.status(201).json({
+      success: true,
+      task: populatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update task
+// @route   PUT /api/tasks/:id
+// @access  Private
+exports.updateTask = async (req, res, next) => {
+  try {
+    let task = await findVisibleTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    if (!canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this task'
+      });
+    }
+
+    const {
+      title,
+      description,
+      dueDate,
+      priority,
+      tags,
+      status,
+      assignedTo,
+      coAssignees,
+      requireChildrenComplete,
+      overrideBlockers,
+      recurrence,
+      notifyAssignee
+    } = req.body;
+
+    // Track changes for audit
+    const changes = [];
+    const previousParticipants = getTaskParticipants(task);
+    const mayReassign = canReassignTask(task, req.user);
+    const newAssignees = [];
+
+    if (assignedTo && assignedTo.toString() !== task.assignedTo.toString()) {
+      if (!mayReassign) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to reassign this task'
+        });
+      }
+
+      if (!mongoose.isValidObjectId(assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid assignee'
+        });
+      }
+
+      const newAssignee = await User.findById(assignedTo);
+      if (!newAssignee) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assigned user not found'
+        });
+      }
+
+      const previousAssignee = await User.findById(task.assignedTo);
+
+      changes.push({ field: 'assignedTo', oldValue: task.assignedTo, newValue: newAssignee._id });
+      task.addAuditEntry(req.user.id, 'reassigned', {
+        field: 'assignedTo',
+        oldValue: task.assignedTo,
+        newValue: newAssignee._id,
+        description: `Reassigned from ${previousAssignee?.name || 'a deleted user'} to ${newAssignee.name}`
+      });
+      task.assignedTo = newAssignee._id;
+      task.coAssignees.pull(newAssignee._id);
+      newAssignees.push(newAssignee);
+    }
+
+    if (Array.isArray(coAssignees)) {
+      const currentIds = task.coAssignees.map(id => id.toString());
+      const requestedIds = [...new Set(coAssignees.map(String))]
+        .filter(id => id !== task.assignedTo.toString());
+      const addedIds = requestedIds.filter(id => !currentIds.includes(id));
+      const removedIds = currentIds.filter(id => !requestedIds.includes(id));
+
+      if (addedIds.length > 0 || removedIds.length > 0) {
+        if (!mayReassign) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to change who this task is assigned to'
+          });
+        }
+
+        const addedUsers = await findUsers(addedIds);
+        if (!addedUsers) {
+          return res.status(404).json({
+            success: false,
+            message: 'One or more co-assignees were not found'
+          });
+        }
+
+        const removedUsers = await User.find({ _id: { $in: removedIds } });
+        const summary = [
+          addedUsers.length > 0 && `added ${addedUsers.map(u => u.name).join(', ')}`,
+          removedUsers.length > 0 && `removed ${removedUsers.map(u => u.name).join(', ')}`
+        ].filter(Boolean).join('; ');
+
+        changes.push({ field: 'coAssignees', oldValue: currentIds, newValue: requestedIds });
+        task.addAuditEntry(req.user.id, 'assigned', {
+          field: 'coAssignees',
+          oldValue: currentIds,
+          newValue: requestedIds,
+          description: `Co-assignees ${summary}`
+        });
+        task.coAssignees = requestedIds;
+        newAssignees.push(...addedUsers);
+      }
+    }
+
+    if (title && title !== task.title) {
+      changes.push({ field: 'title', oldValue: task.title, newValue: title });
+      task.title = title;
+    }
+
+    if (description !== undefined && description !== task.description) {
+      changes.push({ field: 'description', oldValue: task.description, newValue: description });
+      task.description = description;
+    }
+
+    if (dueDate && new Date(dueDate).getTime() !== task.dueDate.getTime()) {
+      changes.push({ field: 'dueDate', oldValue: task.dueDate, newValue: dueDate });
+      task.dueDate = dueDate;
+    }
+
+    if (priority && priority !== task.priority) {
+      changes.push({ field: 'priority', oldValue: task.priority, newValue: priority });
+      task.addAuditEntry(req.user.id, 'priority_changed', {
+        field: 'priority',
+        oldValue: task.priority,
+        newValue: priority
+      });
+      task.priority = priority;
+    }
+
+    if (status && status !== task.status) {
+      const { error, openBlockers } = await checkStatusChange(task, status, { requireChildrenComplete, overrideBlockers });
+      if (error) {
+        const { statusCode, ...body } = error;
+        return res.status(statusCode).json({ success: false, ...body });
+      }
+
+      changes.push({ field: 'status', oldValue: task.status, newValue: status });
+      task.addAuditEntry(req.user.id, 'status_changed', {
+        field: 'status',
+        oldValue: task.status,
+        newValue: status,
+        description: openBlockers.length > 0
+          ? `Moved to ${status} despite open blockers: ${openBlockers.map(blocker => blocker.title).join(', ')}`
+          : undefined
+      });
+      task.status = status;
+    }
+
+    if (tags) {
+      task.tags = tags;
+    }
+
+    // An empty value stops the series after this task
+    if (recurrence !== undefined) {
+      const previousRule = task.recurrence?.freq ? formatRule(task.recurrence) : null;
+      const recurrenceRule = recurrence ? parseRule(recurrence, task.dueDate) : undefined;
+      const newRule = recurrenceRule ? formatRule(recurrenceRule) : null;
+
+      if (newRule !== previousRule) {
+        changes.push({ field: 'recurrence', oldValue: previousRule, newValue: newRule });
+        task.addAuditEntry(req.user.id, 'recurrence_updated', {
+          field: 'recurrence',
+          oldValue: previousRule,
+          newValue: newRule,
+          description: newRule ? `Repeats: ${newRule}` : 'Stopped repeating'
+        });
+        task.recurrence = recurrenceRule;
+      }
+    }
+
+    if (requireChildrenComplete !== undefined && Boolean(requireChildrenComplete) !== task.requireChildrenComplete) {
+      changes.push({ field: 'requireChildrenComplete', oldValue: task.requireChildrenComplete, newValue: Boolean(requireChildrenComplete) });
+      task.requireChildrenComplete = Boolean(requireChildrenComplete);
+    }
+
+    // Add general update audit entry if there were changes
+    if (changes.length > 0) {
+      const changedFields = changes.map(c => c.field).join(', ');
+      task.addAuditEntry(req.user.id, 'updated', {
+        description: `Updated: ${changedFields}`
+      });
+    }
+
+    await task.save();
+
+    // Completing an occurrence of a recurring task schedules the next one
+    const nextOccurrence = task.status === 'Completed' && changes.some(change => change.field === 'status')
+      ? await createNextOccurrence(task, req.user.id)
+      : null;
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('comments.user', 'name email avatar')
+      .populate('attachments.uploadedBy', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
+
+    if (notifyAssignee) {
+      for (const assignee of newAssignees.filter(u => !u._id.equals(req.user._id))) {
+        try {
+          await sendTaskAssignedEmail(assignee, task, req.user);
+        } catch (error) {
+          console.error('Failed to send task assignment email:', error);
+        }
+      }
+    }
+
+    // Broadcast to WebSocket clients
+    broadcastParticipantChanges(task, previousParticipants, populatedTask);
+
+    if (nextOccurrence) {
+      broadcastToParticipants(nextOccurrence, {
+        type: 'TASK_CREATED',
+        task: await Task.findById(nextOccurrence._id)
+          .populate('assignedTo', 'name email avatar')
+          .populate('coAssignees', 'name email avatar')
+          .populate('watchers', 'name email avatar')
+          .populate('createdBy', 'name email avatar')
+      });
+    }
+
+    if (changes.some(change => change.field === 'status')) {
+      await broadcastParentUpdate(task);
+
+      if (task.status === 'Completed') {
+        await notifyDependents(task);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      task: populatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete task
+// @route   DELETE /api/tasks/:id
+// @access  Private
+exports.deleteTask = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    if (!canDeleteTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this task'
+      });
+    }
+
+    // Soft delete: the task stays in the trash until it's restored or purged
+    task.isDeleted = true;
+    task.deletedAt = new Date();
+    task.deletedBy = req.user.id;
+    task.addAuditEntry(req.user.id, 'deleted', { description: 'Moved to trash' });
+    await task.save();
+
+    // Broadcast to WebSocket clients
+    broadcastToParticipants(task, {
+      type: 'TASK_DELETED',
+      taskId: task._id
+    });
+    await broadcastParentUpdate(task);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task deleted successfully',
+      purgeAt: getPurgeDate(task)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get deleted tasks the current user is involved in
+// @route   GET /api/tasks/trash
+// @access  Private
+exports.getTrash = async (req, res, next) => {
+  try {
+    const limit = getPageSize(req.query.limit);
+    // Aggregation doesn't cast ids, so match on the user's ObjectId
+    const query = {
+      isDeleted: true,
+      ...visibleTasksQuery(req.user._id)
+    };
+
+    const total = await Task.countDocuments(query);
+
+    // Most recently deleted first, paging on the same deletion date the
+    // purge job uses so tasks without deletedAt aren't skipped
+    const tasks = await Task.aggregate([
+      { $match: query },
+      { $addFields: { deletionDate: DELETION_DATE } },
+      ...(req.query.cursor ? [{ $match: cursorQuery(req.query.cursor, 'deletionDate', -1) }] : []),
+      { $sort: { deletionDate: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      { $project: { ...TASK_SUMMARY_PROJECTION, deletedAt: 1, deletedBy: 1, deletionDate: 1 } }
+    ]);
+
+    await Task.populate(tasks, [
+      { path: 'assignedTo', select: 'name email avatar' },
+      { path: 'coAssignees', select: 'name email avatar' },
+      { path: 'createdBy', select: 'name email avatar' },
+      { path: 'deletedBy', select: 'name email avatar' }
+    ]);
+
+    const hasMore = tasks.length > limit;
+    const page = tasks.slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'deletionDate') : null,
+      retentionDays: getRetentionDays(),
+      tasks: page.map(task => ({
+        ...task,
+        purgeAt: getPurgeDate(task),
+        canRestore: canDeleteTask(task, req.user)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a deleted task from the trash
+// @route   POST /api/tasks/:id/restore
+// @access  Private
+exports.restoreTask = async (req, res, next) => {
+  try {
+    const task = mongoose.isValidObjectId(req.params.id) && await Task.findOne({
+      _id: req.params.id,
+      isDeleted: true,
+      ...visibleTasksQuery(req.user.id)
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    // Whoever may delete a task may also bring it back
+    if (!canDeleteTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to restore this task'
+      });
+    }
+
+    task.isDeleted = false;
+    task.deletedAt = undefined;
+    task.deletedBy = undefined;
+    task.addAuditEntry(req.user.id, 'restored', { description: 'Restored from trash' });
+    await task.save();
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar');
+
+    // Restored tasks reappear on everyone's board
+    broadcastToParticipants(task, {
+      type: 'TASK_CREATED',
+      task: populatedTask,
+      reason: 'restored'
+    });
+    await broadcastParentUpdate(task);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task restored',
+      task: populatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Apply one action to many tasks, chosen by id or by a filter
+// @route   POST /api/tasks/bulk
+// @access  Private
+exports.bulkUpdateTasks = async (req, res, next) => {
+  try {
+    const { ids, filter, action, value, overrideBlockers } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${BULK_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (Array.isArray(ids) === Boolean(filter)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a list of task ids or a filter'
+      });
+    }
+
+    const valueError = bulkValueError(action, value);
+    if (valueError) {
+      return res.status(400).json({
+        success: false,
+        message: valueError
+      });
+    }
+
+    let newAssignee;
+    if (action === 'reassign') {
+      newAssignee = await User.findById(value);
+
+      if (!newAssignee) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assigned user not found'
+        });
+      }
+    }
+
+    let tasks;
+    let requestedIds;
+
+    if (Array.isArray(ids)) {
+      requestedIds = [...new Set(ids.map(String))];
+
+      if (requestedIds.length > MAX_BULK_TASKS) {
+        return res.status(400).json({
+          success: false,
+          message: `A bulk update can change at most ${MAX_BULK_TASKS} tasks`
+        });
+      }
+
+      tasks = await Task.find({
+        _id: { $in: requestedIds.filter(id => mongoose.isValidObjectId(id)) },
+        isDeleted: false,
+        ...visibleTasksQuery(req.user.id)
+      });
+    } else {
+      const scope = filter.scope || 'all-visible';
+
+      if (!SCOPES.includes(scope)) {
+        return res.status(400).json({
+          success: false,
+          message: `Scope must be one of: ${SCOPES.join(', ')}`
+        });
+      }
+
+      const { query } = await buildTaskQuery({
+        ...filter,
+        tags: Array.isArray(filter.tags) ? filter.tags.join(',') : filter.tags,
+        scope
+      }, req.user.id);
+      tasks = await Task.find(query).limit(MAX_BULK_TASKS + 1);
+
+      if (tasks.length > MAX_BULK_TASKS) {
+        return res.status(400).json({
+          success: false,
+          message: `The filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down first`
+        });
+      }
+
+      requestedIds = tasks.map(task => task._id.toString());
+    }
+
+    const results = new Map();
+    const changed = [];
+
+    for (const task of tasks) {
+      const previousParticipants = getTaskParticipants(task);
+
+      try {
+        const { error, changed: taskChanged } = await applyBulkAction(task, action, value, {
+          user: req.user,
+          newAssignee,
+          overrideBlockers
+        });
+
+        if (error) {
+          const { statusCode, ...details } = error;
+          results.set(task._id.toString(), { id: task._id, success: false, status: statusCode, ...details });
+          continue;
+        }
+
+        if (taskChanged) {
+          await task.save();
+          changed.push({ task, previousParticipants });
+        }
+
+        results.set(task._id.toString(), { id: task._id, success: true, changed: taskChanged });
+      } catch (error) {
+        results.set(task._id.toString(), {
+          id: task._id,
+          success: false,
+          status: error.statusCode || (error.name === 'ValidationError' ? 400 : 500),
+          message: error.message
+        });
+      }
+    }
+
+    // Broadcast every change in one message per user
+    const batch = createChangeBatch();
+    const populatedTasks = await Task.find({ _id: { $in: changed.map(({ task }) => task._id) } })
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar');
+    const populatedById = new Map(populatedTasks.map(task => [task._id.toString(), task]));
+    const parentIds = new Set();
+
+    for (const { task, previousParticipants } of changed) {
+      if (task.isDeleted) {
+        batch.addDeleted(previousParticipants, task._id);
+      } else {
+        batch.addParticipantChanges(task, previousParticipants, populatedById.get(task._id.toString()));
+      }
+
+      if (task.parent && (action === 'status' || action === 'delete')) {
+        parentIds.add(task.parent.toString());
+      }
+
+      if (action === 'status' && task.status === 'Completed') {
+        const nextOccurrence = await createNextOccurrence(task, req.user.id);
+        if (nextOccurrence) {
+          batch.addTask(getTaskParticipants(nextOccurrence), 'created', await Task.findById(nextOccurrence._id)
+            .populate('assignedTo', 'name email avatar')
+            .populate('coAssignees', 'name email avatar')
+            .populate('watchers', 'name email avatar')
+            .populate('createdBy', 'name email avatar'));
+        }
+
+        await notifyDependents(task, batch.notify);
+      }
+    }
+
+    const parents = await Task.find({ _id: { $in: [...parentIds] }, isDeleted: false });
+    parents.forEach(parent => batch.addTask(getTaskParticipants(parent), 'updated', parent));
+
+    batch.send();
+
+    // Results follow the order of the requested ids
+    const notFound = { success: false, status: 404, message: 'Task not found or access denied' };
+    const itemResults = requestedIds.map(id => results.get(id) || { id, ...notFound });
+    const succeeded = itemResults.filter(result => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      message: `${succeeded} of ${itemResults.length} tasks updated`,
+      succeeded,
+      failed: itemResults.length - succeeded,
+      results: itemResults
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add comment to task
+// @route   POST /api/tasks/:id/comments
+// @access  Private
+exports.addComment = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const { text } = req.body;
+
+    task.comments.push({
+      user: req.user.id,
+      text
+    });
+
+    task.addAuditEntry(req.user.id, 'comment_added', {
+      description: 'Added a comment'
+    });
+
+    await task.save();
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('comments.user', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
+
+    // Broadcast to WebSocket clients
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: populatedTask
+    });
+
+    res.status(200).json({
+      success: true,
+      task: populatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Watch a task (or add another user as a watcher)
+// @route   POST /api/tasks/:id/watchers
+// @access  Private
+exports.addWatcher = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const userId = String(req.body.userId || req.user.id);
+    const isSelf = userId === req.user.id;
+
+    // Anyone who can see a task may watch it; adding others takes edit rights
+    if (!isSelf && !canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to add watchers to this task'
+      });
+    }
+
+    const [watcher] = await findUsers([userId]) || [];
+    if (!watcher) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousParticipants = getTaskParticipants(task);
+
+    if (!task.watchers.some(id => id.equals(watcher._id))) {
+      task.watchers.push(watcher._id);
+      task.addAuditEntry(req.user.id, 'watcher_added', {
+        description: isSelf ? 'Started watching' : `Added ${watcher.name} as a watcher`
+      });
+      await task.save();
+    }
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
+
+    // Broadcast to WebSocket clients
+    broadcastParticipantChanges(task, previousParticipants, populatedTask);
+
+    res.status(200).json({
+      success: true,
+      task: populatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stop watching a task (or remove another watcher)
+// @route   DELETE /api/tasks/:id/watchers/:userId
+// @access  Private
+exports.removeWatcher = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const { userId } = req.params;
+    const isSelf = userId === req.user.id;
+
+    if (!isSelf && !canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to remove watchers from this task'
+      });
+    }
+
+    if (!task.watchers.some(id => id.toString() === userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not watching this task'
+      });
+    }
+
+    const previousParticipants = getTaskParticipants(task);
+    const watcher = await User.findById(userId);
+
+    task.watchers.pull(userId);
+    task.addAuditEntry(req.user.id, 'watcher_removed', {
+      description: isSelf ? 'Stopped watching' : `Removed ${watcher?.name || 'a deleted user'} as a watcher`
+    });
+    await task.save();
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
+
+    // Broadcast to WebSocket clients
+    broadcastParticipantChanges(task, previousParticipants, populatedTask);
+
+    res.status(200).json({
+      success: true,
+      task: populatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a task's checklist
+// @route   GET /api/tasks/:id/checklist
+// @access  Private
+exports.getChecklist = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id)
+      .populate('checklist.assignee', 'name email avatar');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      checklist: [...task.checklist].sort((a, b) => a.order - b.order)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add checklist item
+// @route   POST /api/tasks/:id/checklist
+// @access  Private
+exports.addChecklistItem = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    if (!canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this task'
+      });
+    }
+
+    const { text, assignee } = req.body;
+
+    if (assignee && !await findUsers([assignee])) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist assignee not found'
+      });
+    }
+
+    const order = task.checklist.reduce((max, item) => Math.max(max, item.order + 1), 0);
+    task.checklist.push({ text, assignee: assignee || undefined, order });
+
+    task.addAuditEntry(req.user.id, 'checklist_item_added', {
+      description: `Added checklist item "${text}"`
+    });
+
+    await task.save();
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('checklist.assignee', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
+
+    // Broadcast to WebSocket clients
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: populatedTask
+    });
+
+    res.status(201).json({
+      success: true,
+      task: populatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update checklist item (text, done, order or assignee)
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @access  Private
+exports.updateChecklistItem = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    const { text, done, order, assignee } = req.body;
+    const isItemAssignee = item.assignee && item.assignee.equals(req.user._id);
+
+    // An item's assignee may tick it off; anything else needs edit rights
+    const onlyTogglesDone = text === undefined && order === undefined && assignee === undefined;
+    if (!canEditTask(task, req.user) && !(isItemAssignee && onlyTogglesDone)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this task'
+      });
+    }
+
+    if (assignee && !await findUsers([assignee])) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist assignee not found'
+      });
+    }
+
+    const previousText = item.text;
+
+    if (text !== undefined) item.text = text;
+    if (order !== undefined) item.order = Number(order);
+    if (assignee !== undefined) item.assignee = assignee || undefined;
+    if (done !== undefined && Boolean(done) !== item.done) {
+      item.done = Boolean(done);
+      item.completedAt = item.done ? new Date() : undefined;
+    }
+
+    const description = done !== undefined && onlyTogglesDone
+      ? `${item.done ? 'Checked' : 'Unchecked'} checklist item "${item.text}"`
+      : `Updated checklist item "${previousText}"`;
+
+    task.addAuditEntry(req.user.id, 'checklist_item_updated', { description });
+
+    await task.save();
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('checklist.assignee', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
+
+    // Broadcast to WebSocket clients
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: populatedTask
+    });
+
+    res.status(200).json({
+      success: true,
+      task: populatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove checklist item
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @access  Private
+exports.removeChecklistItem = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    if (!canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this task'
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
 
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
-    if (tags) query.tags = { $in: tags.split(',') };
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
     }
 
-    // Build sort
-    const sortOrder = order === 'desc' ? -1 : 1;
-    const sort = { [sortBy]: sortOrder };
+    task.checklist.pull(item._id);
+    task.addAuditEntry(req.user.id, 'checklist_item_removed', {
+      description: `Removed checklist item "${item.text}"`
+    });
 
-    const tasks = await Task.find(query)
-      .sort(sort)
-      .populate('assignedTo', 'name email')
-      .populate('createdBy', 'name email')
-      .populate('comments.user', 'name email')
-      .populate('attachments.uploadedBy', 'name email')
-      .populate('auditHistory.user', 'name email');
+    await task.save();
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('checklist.assignee', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
+
+    // Broadcast to WebSocket clients
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: populatedTask
+    });
 
     res.status(200).json({
       success: true,
-      count: tasks.length,
-      tasks
+      task: populatedTask
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get single task
-// @route   GET /api/tasks/:id
+// @desc    Get a task's subtasks
+// @route   GET /api/tasks/:id/subtasks
 // @access  Private
-exports.getTask = async (req, res, next) => {
+exports.getSubtasks = async (req, res, next) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      assignedTo: req.user.id,
-      isDeleted: false
-    })
-      .populate('assignedTo', 'name email')
-      .populate('createdBy', 'name email')
-      .populate('comments.user', 'name email')
-      .populate('attachments.uploadedBy', 'name email')
-      .populate('auditHistory.user', 'name email');
+    const task = await findVisibleTask(req.params.id, req.user.id);
 
     if (!task) {
       return res.status(404).json({
@@ -71,79 +1638,153 @@ exports.getTask = async (req, res, next) => {
       });
     }
 
+    const subtasks = await Task.find({ parent: task._id, isDeleted: false })
+      .select('title status priority dueDate assignedTo checklist')
+      .sort({ createdAt: 1 })
+      .populate('assignedTo', 'name email avatar');
+
     res.status(200).json({
       success: true,
-      task
+      count: subtasks.length,
+      subtasks: await withTaskState(subtasks)
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Create task
-// @route   POST /api/tasks
+// @desc    Create a subtask, or attach an existing task as one
+// @route   POST /api/tasks/:id/subtasks
 // @access  Private
-exports.createTask = async (req, res, next) => {
+exports.addSubtask = async (req, res, next) => {
   try {
-    const { title, description, assignedTo, dueDate, priority, tags } = req.body;
+    const task = await findVisibleTask(req.params.id, req.user.id);
 
-    // Verify assigned user exists
-    const assignedUser = await User.findById(assignedTo);
-    if (!assignedUser) {
+    if (!task) {
       return res.status(404).json({
         success: false,
-        message: 'Assigned user not found'
+        message: 'Task not found or access denied'
       });
     }
 
-    const task = await Task.create({
-      title,
-      description,
-      assignedTo,
-      createdBy: req.user.id,
-      dueDate,
-      priority: priority || 'Medium',
-      tags: tags || [],
-      status: 'To Do'
-    });
+    if (!canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this task'
+      });
+    }
 
-    // Add audit entry
-    task.addAuditEntry(req.user.id, 'created', {
-      description: `Task created and assigned to ${assignedUser.name}`
+    const { taskId, title, description, assignedTo, dueDate, priority, tags } = req.body;
+    let subtask;
+    let previousParentId;
+
+    if (taskId) {
+      subtask = await findVisibleTask(taskId, req.user.id);
+
+      if (!subtask || !canEditTask(subtask, req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subtask not found or access denied'
+        });
+      }
+
+      // A task can't become a subtask of itself or of one of its own subtasks
+      if (await isSelfOrAncestor(subtask._id, task)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A task cannot be a subtask of itself or of its own subtasks'
+        });
+      }
+
+      if (subtask.parent && !subtask.parent.equals(task._id)) {
+        previousParentId = subtask.parent;
+      }
+
+      subtask.parent = task._id;
+      subtask.addAuditEntry(req.user.id, 'updated', {
+        field: 'parent',
+        oldValue: previousParentId,
+        newValue: task._id,
+        description: `Made a subtask of "${task.title}"`
+      });
+    } else {
+      const assignedUser = await User.findById(assignedTo || task.assignedTo);
+      if (!assignedUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assigned user not found'
+        });
+      }
+
+      subtask = new Task({
+        title,
+        description,
+        assignedTo: assignedUser._id,
+        createdBy: req.user.id,
+        parent: task._id,
+        dueDate: dueDate || task.dueDate,
+        priority: priority || task.priority,
+        tags: tags || [],
+        status: 'To Do'
+      });
+
+      subtask.addAuditEntry(req.user.id, 'created', {
+        description: `Subtask created under "${task.title}" and assigned to ${assignedUser.name}`
+      });
+    }
+
+    await subtask.save();
+
+    task.addAuditEntry(req.user.id, 'subtask_added', {
+      newValue: subtask._id,
+      description: `Added subtask "${subtask.title}"`
     });
     await task.save();
 
-    const populatedTask = await Task.findById(task._id)
-      .populate('assignedTo', 'name email')
-      .populate('createdBy', 'name email');
+    // A subtask moved from another parent is removed from that one
+    const previousParent = previousParentId &&
+      await Task.findOne({ _id: previousParentId, isDeleted: false });
+    if (previousParent) {
+      previousParent.addAuditEntry(req.user.id, 'subtask_removed', {
+        oldValue: subtask._id,
+        description: `Subtask "${subtask.title}" moved to "${task.title}"`
+      });
+      await previousParent.save();
+    }
+
+    const populatedSubtask = await findPopulatedTask({ _id: subtask._id });
 
     // Broadcast to WebSocket clients
-    if (global.wss) {
-      global.wss.broadcastToUser(assignedTo, {
-        type: 'TASK_CREATED',
-        task: populatedTask
+    broadcastToParticipants(subtask, {
+      type: taskId ? 'TASK_UPDATED' : 'TASK_CREATED',
+      task: populatedSubtask
+    });
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: await findPopulatedTask({ _id: task._id })
+    });
+    if (previousParent) {
+      broadcastToParticipants(previousParent, {
+        type: 'TASK_UPDATED',
+        task: await findPopulatedTask({ _id: previousParent._id })
       });
     }
 
     res.status(201).json({
       success: true,
-      task: populatedTask
+      task: populatedSubtask
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Update task
-// @route   PUT /api/tasks/:id
+// @desc    Detach a subtask from its parent (the subtask itself is kept)
+// @route   DELETE /api/tasks/:id/subtasks/:subtaskId
 // @access  Private
-exports.updateTask = async (req, res, next) => {
+exports.removeSubtask = async (req, res, next) => {
   try {
-    let task = await Task.findOne({
-      _id: req.params.id,
-      assignedTo: req.user.id,
-      isDeleted: false
-    });
+    const task = await findVisibleTask(req.params.id, req.user.id);
 
     if (!task) {
       return res.status(404).json({
@@ -152,102 +1793,97 @@ exports.updateTask = async (req, res, next) => {
       });
     }
 
-    const { title, description, dueDate, priority, tags, status } = req.body;
-
-    // Track changes for audit
-    const changes = [];
-
-    if (title && title !== task.title) {
-      changes.push({ field: 'title', oldValue: task.title, newValue: title });
-      task.title = title;
-    }
-
-    if (description !== undefined && description !== task.description) {
-      changes.push({ field: 'description', oldValue: task.description, newValue: description });
-      task.description = description;
+    if (!canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this task'
+      });
     }
 
-    if (dueDate && new Date(dueDate).getTime() !== task.dueDate.getTime()) {
-      changes.push({ field: 'dueDate', oldValue: task.dueDate, newValue: dueDate });
-      task.dueDate = dueDate;
-    }
+    const subtask = await Task.findOne({
+      _id: req.params.subtaskId,
+      parent: task._id,
+      isDeleted: false
+    });
 
-    if (priority && priority !== task.priority) {
-      changes.push({ field: 'priority', oldValue: task.priority, newValue: priority });
-      task.addAuditEntry(req.user.id, 'priority_changed', {
-        field: 'priority',
-        oldValue: task.priority,
-        newValue: priority
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
       });
-      task.priority = priority;
     }
 
-    if (status && status !== task.status) {
-      // Prevent reverting from Completed
-      if (task.status === 'Completed' && status !== 'Completed') {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot revert status from Completed'
-        });
-      }
-      
-      changes.push({ field: 'status', oldValue: task.status, newValue: status });
-      task.addAuditEntry(req.user.id, 'status_changed', {
-        field: 'status',
-        oldValue: task.status,
-        newValue: status
-      });
-      task.status = status;
-    }
+    subtask.parent = null;
+    subtask.addAuditEntry(req.user.id, 'updated', {
+      field: 'parent',
+      oldValue: task._id,
+      description: `Detached from "${task.title}"`
+    });
+    await subtask.save();
 
-    if (tags) {
-      task.tags = tags;
-    }
+    task.addAuditEntry(req.user.id, 'subtask_removed', {
+      oldValue: subtask._id,
+      description: `Removed subtask "${subtask.title}"`
+    });
+    await task.save();
 
-    // Add general update audit entry if there were changes
-    if (changes.length > 0) {
-      const changedFields = changes.map(c => c.field).join(', ');
-      task.addAuditEntry(req.user.id, 'updated', {
-        description: `Updated: ${changedFields}`
-      });
-    }
+    // Broadcast to WebSocket clients
+    broadcastToParticipants(subtask, {
+      type: 'TASK_UPDATED',
+      task: await findPopulatedTask({ _id: subtask._id })
+    });
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: await findPopulatedTask({ _id: task._id })
+    });
 
-    await task.save();
+    res.status(200).json({
+      success: true,
+      message: 'Subtask removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const populatedTask = await Task.findById(task._id)
-      .populate('assignedTo', 'name email')
-      .populate('createdBy', 'name email')
-      .populate('comments.user', 'name email')
-      .populate('attachments.uploadedBy', 'name email')
-      .populate('auditHistory.user', 'name email');
+// @desc    Get the tasks a task is blocked by and the tasks it blocks
+// @route   GET /api/tasks/:id/dependencies
+// @access  Private
+exports.getDependencies = async (req, res, next) => {
+  try {
+    const task = await findVisibleTask(req.params.id, req.user.id);
 
-    // Broadcast to WebSocket clients
-    if (global.wss) {
-      global.wss.broadcastToUser(task.assignedTo.toString(), {
-        type: 'TASK_UPDATED',
-        task: populatedTask
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
       });
     }
 
+    const blockedBy = await Task.find({ _id: { $in: task.blockedBy }, isDeleted: false })
+      .select('title status priority dueDate assignedTo')
+      .populate('assignedTo', 'name email avatar');
+
+    const blocking = await Task.find({ blockedBy: task._id, isDeleted: false })
+      .select('title status priority dueDate assignedTo')
+      .populate('assignedTo', 'name email avatar');
+
     res.status(200).json({
       success: true,
-      task: populatedTask
+      blockedBy,
+      blocking
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Delete task
-// @route   DELETE /api/tasks/:id
+// @desc    Mark a task as blocked by another task
+// @route   POST /api/tasks/:id/dependencies
 // @access  Private
-exports.deleteTask = async (req, res, next) => {
+exports.addDependency = async (req, res, next) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      assignedTo: req.user.id,
-      isDeleted: false
-    });
+    const task = await findVisibleTask(req.params.id, req.user.id);
 
     if (!task) {
       return res.status(404).json({
@@ -256,37 +1892,82 @@ exports.deleteTask = async (req, res, next) => {
       });
     }
 
-    // Soft delete
-    task.isDeleted = true;
-    await task.save();
+    if (!canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this task'
+      });
+    }
 
-    // Broadcast to WebSocket clients
-    if (global.wss) {
-      global.wss.broadcastToUser(task.assignedTo.toString(), {
-        type: 'TASK_DELETED',
-        taskId: task._id
+    const { taskId } = req.body;
+
+    if (!mongoose.isValidObjectId(taskId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid blocking task'
       });
     }
 
-    res.status(200).json({
+    const blocker = await findVisibleTask(taskId, req.user.id);
+
+    if (!blocker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocking task not found or access denied'
+      });
+    }
+
+    if (task.blockedBy.some(id => id.equals(blocker._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is already blocked by that task'
+      });
+    }
+
+    if (await wouldCreateCycle(task._id, blocker._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This dependency would create a cycle'
+      });
+    }
+
+    task.blockedBy.push(blocker._id);
+    task.addAuditEntry(req.user.id, 'dependency_added', {
+      field: 'blockedBy',
+      newValue: blocker._id,
+      description: `Blocked by "${blocker.title}"`
+    });
+
+    await task.save();
+
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
+
+    // Broadcast to WebSocket clients
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: populatedTask
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'Task deleted successfully'
+      task: populatedTask
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Add comment to task
-// @route   POST /api/tasks/:id/comments
+// @desc    Remove a "blocked by" link
+// @route   DELETE /api/tasks/:id/dependencies/:blockerId
 // @access  Private
-exports.addComment = async (req, res, next) => {
+exports.removeDependency = async (req, res, next) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      assignedTo: req.user.id,
-      isDeleted: false
-    });
+    const task = await findVisibleTask(req.params.id, req.user.id);
 
     if (!task) {
       return res.status(404).json({
@@ -295,32 +1976,45 @@ exports.addComment = async (req, res, next) => {
       });
     }
 
-    const { text } = req.body;
+    if (!canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this task'
+      });
+    }
 
-    task.comments.push({
-      user: req.user.id,
-      text
-    });
+    const { blockerId } = req.params;
 
-    task.addAuditEntry(req.user.id, 'comment_added', {
-      description: 'Added a comment'
+    if (!task.blockedBy.some(id => id.toString() === blockerId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task is not blocked by that task'
+      });
+    }
+
+    const blocker = await Task.findById(blockerId).select('title');
+
+    task.blockedBy.pull(blockerId);
+    task.addAuditEntry(req.user.id, 'dependency_removed', {
+      field: 'blockedBy',
+      oldValue: blockerId,
+      description: `No longer blocked by "${blocker?.title || 'a deleted task'}"`
     });
 
     await task.save();
 
     const populatedTask = await Task.findById(task._id)
-      .populate('assignedTo', 'name email')
-      .populate('createdBy', 'name email')
-      .populate('comments.user', 'name email')
-      .populate('auditHistory.user', 'name email');
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
 
     // Broadcast to WebSocket clients
-    if (global.wss) {
-      global.wss.broadcastToUser(task.assignedTo.toString(), {
-        type: 'TASK_UPDATED',
-        task: populatedTask
-      });
-    }
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: populatedTask
+    });
 
     res.status(200).json({
       success: true,
@@ -336,11 +2030,7 @@ exports.addComment = async (req, res, next) => {
 // @access  Private
 exports.addAttachment = async (req, res, next) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      assignedTo: req.user.id,
-      isDeleted: false
-    });
+    const task = await findVisibleTask(req.params.id, req.user.id);
 
     if (!task) {
       return res.status(404).json({
@@ -371,18 +2061,18 @@ exports.addAttachment = async (req, res, next) => {
     await task.save();
 
     const populatedTask = await Task.findById(task._id)
-      .populate('assignedTo', 'name email')
-      .populate('createdBy', 'name email')
-      .populate('attachments.uploadedBy', 'name email')
-      .populate('auditHistory.user', 'name email');
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('attachments.uploadedBy', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
 
     // Broadcast to WebSocket clients
-    if (global.wss) {
-      global.wss.broadcastToUser(task.assignedTo.toString(), {
-        type: 'TASK_UPDATED',
-        task: populatedTask
-      });
-    }
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: populatedTask
+    });
 
     res.status(200).json({
       success: true,
@@ -398,11 +2088,7 @@ exports.addAttachment = async (req, res, next) => {
 // @access  Private
 exports.removeAttachment = async (req, res, next) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      assignedTo: req.user.id,
-      isDeleted: false
-    });
+    const task = await findVisibleTask(req.params.id, req.user.id);
 
     if (!task) {
       return res.status(404).json({
@@ -420,6 +2106,14 @@ exports.removeAttachment = async (req, res, next) => {
       });
     }
 
+    // Uploaders can always remove their own files
+    if (!attachment.uploadedBy.equals(req.user.id) && !canEditTask(task, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to remove this attachment'
+      });
+    }
+
     // Delete file from filesystem
     const filePath = path.join(process.env.UPLOAD_PATH || './uploads', attachment.filename);
     try {
@@ -436,18 +2130,18 @@ exports.removeAttachment = async (req, res, next) => {
     await task.save();
 
     const populatedTask = await Task.findById(task._id)
-      .populate('assignedTo', 'name email')
-      .populate('createdBy', 'name email')
-      .populate('attachments.uploadedBy', 'name email')
-      .populate('auditHistory.user', 'name email');
+      .populate('assignedTo', 'name email avatar')
+      .populate('coAssignees', 'name email avatar')
+      .populate('watchers', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .populate('attachments.uploadedBy', 'name email avatar')
+      .populate('auditHistory.user', 'name email avatar');
 
     // Broadcast to WebSocket clients
-    if (global.wss) {
-      global.wss.broadcastToUser(task.assignedTo.toString(), {
-        type: 'TASK_UPDATED',
-        task: populatedTask
-      });
-    }
+    broadcastToParticipants(task, {
+      type: 'TASK_UPDATED',
+      task: populatedTask
+    });
 
     res.status(200).json({
       success: true,
@@ -463,11 +2157,7 @@ exports.removeAttachment = async (req, res, next) => {
 // @access  Private
 exports.downloadAttachment = async (req, res, next) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      assignedTo: req.user.id,
-      isDeleted: false
-    });
+    const task = await findVisibleTask(req.params.id, req.user.id);
 
     if (!task) {
       return res.status(404).json({
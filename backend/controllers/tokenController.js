@@ -0,0 +1,114 @@
+const ApiToken = require('../models/ApiToken');
+const { recordSecurityEvent } = require('../utils/securityLog');
+
+// Shape returned to clients (never includes the hash)
+const formatToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  tokenPrefix: apiToken.tokenPrefix,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  createdAt: apiToken.createdAt
+});
+
+// @desc    Get current user's API tokens
+// @route   GET /api/tokens
+// @access  Private
+exports.getTokens = async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.find({
+      user: req.user.id,
+      revokedAt: null
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      scopes: ApiToken.SCOPES,
+      tokens: tokens.map(formatToken)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create API token
+// @route   POST /api/tokens
+// @access  Private
+exports.createToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!Array.isArray(scopes) || scopes.some(scope => !ApiToken.SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes must be a list containing: ${ApiToken.SCOPES.join(', ')}`
+      });
+    }
+
+    const days = parseInt(expiresInDays);
+    const { token, tokenHash, tokenPrefix } = ApiToken.generate();
+
+    const apiToken = await ApiToken.create({
+      user: req.user.id,
+      name,
+      tokenHash,
+      tokenPrefix,
+      scopes: [...new Set(scopes)],
+      expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    await recordSecurityEvent(req, {
+      type: 'api_token_created',
+      user: req.user,
+      details: { tokenId: apiToken._id, name: apiToken.name, scopes: apiToken.scopes }
+    });
+
+    // The raw token is only ever returned here
+    res.status(201).json({
+      success: true,
+      message: 'Token created. Copy it now, it will not be shown again.',
+      token,
+      apiToken: formatToken(apiToken)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke API token
+// @route   DELETE /api/tokens/:id
+// @access  Private
+exports.revokeToken = async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    apiToken.revokedAt = new Date();
+    await apiToken.save();
+
+    await recordSecurityEvent(req, {
+      type: 'api_token_revoked',
+      user: req.user,
+      details: { tokenId: apiToken._id, name: apiToken.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Token revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
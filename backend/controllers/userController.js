@@ -1,5 +1,7 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Task = require('../models/Task');
+const { reassignTasks, deleteAccount } = require('../utils/accountDeletion');
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -41,9 +43,55 @@ exports.getUser = async (req, res, next) => {
   }
 };
 
+// @desc    Update user role
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Always keep at least one admin
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last admin'
+        });
+      }
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Delete user (with task reassignment)
 // @route   DELETE /api/users/:id
-// @access  Private
+// @access  Private/Admin
 exports.deleteUser = async (req, res, next) => {
   try {
     const { reassignTo } = req.body;
@@ -90,33 +138,11 @@ exports.deleteUser = async (req, res, next) => {
       }
 
       // Reassign all tasks
-      const tasks = await Task.find({
-        assignedTo: req.params.id,
-        isDeleted: false
-      });
-
-      for (const task of tasks) {
-        const oldAssignee = task.assignedTo;
-        task.assignedTo = reassignTo;
-        task.addAuditEntry(req.user.id, 'reassigned', {
-          description: `Reassigned from ${user.name} to ${reassignUser.name} (user deletion)`
-        });
-        await task.save();
-
-        // Broadcast to WebSocket clients
-        if (global.wss) {
-          global.wss.broadcastToUser(reassignTo, {
-            type: 'TASK_CREATED',
-            task: await Task.findById(task._id)
-              .populate('assignedTo', 'name email')
-              .populate('createdBy', 'name email')
-          });
-        }
-      }
+      await reassignTasks(user, reassignUser, req.user.id, 'user deletion');
     }
 
     // Delete user
-    await User.findByIdAndDelete(req.params.id);
+    await deleteAccount(user);
 
     res.status(200).json({
       success: true,
@@ -130,15 +156,32 @@ exports.deleteUser = async (req, res, next) => {
 
 // @desc    Get user statistics
 // @route   GET /api/users/:id/stats
-// @access  Private
+// @access  Private (own stats, or admin)
 exports.getUserStats = async (req, res, next) => {
   try {
     const userId = req.params.id;
 
+    if (userId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own statistics'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
     const stats = await Task.aggregate([
       {
         $match: {
-          assignedTo: mongoose.Types.ObjectId(userId),
+          $or: [
+            { assignedTo: new mongoose.Types.ObjectId(userId) },
+            { coAssignees: new mongoose.Types.ObjectId(userId) }
+          ],
           isDeleted: false
         }
       },
@@ -0,0 +1,14 @@
+const { issueTicket } = require('../utils/wsTickets');
+
+// @desc    Get a single-use ticket for opening a WebSocket connection
+// @route   POST /api/ws/ticket
+// @access  Private
+exports.createTicket = (req, res) => {
+  const { ticket, expiresAt } = issueTicket(req.user._id, req.authSession._id);
+
+  res.status(201).json({
+    success: true,
+    ticket,
+    expiresAt
+  });
+};
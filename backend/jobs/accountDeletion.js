@@ -0,0 +1,33 @@
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { reassignTasks, deleteAccount } = require('../utils/accountDeletion');
+
+// Delete accounts whose deletion grace period has ended
+const runAccountDeletion = async () => {
+  const users = await User.find({ deletionScheduledAt: { $lte: new Date() } });
+
+  for (const user of users) {
+    try {
+      const taskCount = await Task.countDocuments({ assignedTo: user._id, isDeleted: false });
+
+      if (taskCount > 0) {
+        const reassignUser = user.deletionReassignTo && await User.findById(user.deletionReassignTo);
+
+        // Never orphan tasks: wait until the user picks a valid target
+        if (!reassignUser) {
+          console.error(`Account deletion skipped for ${user._id}: no reassign target for ${taskCount} tasks`);
+          continue;
+        }
+
+        await reassignTasks(user, reassignUser, user._id, 'account deletion');
+      }
+
+      await deleteAccount(user);
+      console.log(`Deleted account ${user._id}`);
+    } catch (error) {
+      console.error(`Account deletion failed for ${user._id}:`, error);
+    }
+  }
+};
+
+module.exports = runAccountDeletion;
@@ -0,0 +1,21 @@
+const runAccountDeletion = require('./accountDeletion');
+const runRecurrence = require('./recurrence');
+const runTrashPurge = require('./trashPurge');
+
+// Background jobs, each run on a fixed interval
+const jobs = [
+  { name: 'account deletion', run: runAccountDeletion, interval: 60 * 60 * 1000 },
+  { name: 'recurring tasks', run: runRecurrence, interval: 60 * 60 * 1000 },
+  { name: 'trash purge', run: runTrashPurge, interval: 60 * 60 * 1000 }
+];
+
+const startJobs = () => {
+  jobs.forEach(({ name, run, interval }) => {
+    const execute = () => run().catch((error) => console.error(`Job "${name}" failed:`, error));
+
+    execute();
+    setInterval(execute, interval).unref();
+  });
+};
+
+module.exports = { startJobs };
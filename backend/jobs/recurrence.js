@@ -0,0 +1,42 @@
+const Task = require('../models/Task');
+const { getNextDueDate, createNextOccurrence } = require('../utils/recurrence');
+const { getTaskParticipants } = require('../utils/taskAccess');
+
+// Create upcoming occurrences of recurring tasks ahead of their due date,
+// without waiting for the current occurrence to be completed
+const runRecurrence = async () => {
+  const leadDays = parseInt(process.env.RECURRENCE_LEAD_DAYS) || 3;
+  const horizon = new Date(Date.now() + leadDays * 24 * 60 * 60 * 1000);
+
+  // The next occurrence is always due after the current one
+  const tasks = await Task.find({
+    'recurrence.freq': { $exists: true },
+    nextOccurrence: null,
+    isDeleted: false,
+    dueDate: { $lte: horizon }
+  });
+
+  for (const task of tasks) {
+    try {
+      const dueDate = getNextDueDate(task.recurrence, task.dueDate, task.occurrence || 1);
+      if (!dueDate || dueDate > horizon) {
+        continue;
+      }
+
+      const next = await createNextOccurrence(task, task.createdBy);
+
+      if (next && global.wss) {
+        getTaskParticipants(next).forEach((userId) => {
+          global.wss.broadcastToUser(userId, {
+            type: 'TASK_CREATED',
+            task: next
+          });
+        });
+      }
+    } catch (error) {
+      console.error(`Recurrence failed for task ${task._id}:`, error);
+    }
+  }
+};
+
+module.exports = runRecurrence;
@@ -0,0 +1,32 @@
+const Task = require('../models/Task');
+const { DELETION_DATE, getRetentionDays, purgeTask } = require('../utils/trash');
+const { getTaskParticipants } = require('../utils/taskAccess');
+
+// Permanently delete tasks that have been in the trash past the retention period
+const runTrashPurge = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+
+  const tasks = await Task.find({
+    isDeleted: true,
+    $expr: { $lte: [DELETION_DATE, cutoff] }
+  });
+
+  for (const task of tasks) {
+    try {
+      await purgeTask(task);
+
+      if (global.wss) {
+        getTaskParticipants(task).forEach((userId) => {
+          global.wss.broadcastToUser(userId, {
+            type: 'TASK_PURGED',
+            taskId: task._id
+          });
+        });
+      }
+    } catch (error) {
+      console.error(`Trash purge failed for task ${task._id}:`, error);
+    }
+  }
+};
+
+module.exports = runTrashPurge;
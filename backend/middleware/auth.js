@@ -1,5 +1,16 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { recordSecurityEvent } = require('../utils/securityLog');
+
+// Log a rejected credential (only when one was actually presented)
+const recordRejectedToken = (req, reason, user) => recordSecurityEvent(req, {
+  type: 'token_rejected',
+  user,
+  outcome: 'failure',
+  details: { reason, path: req.originalUrl }
+});
 
 const protect = async (req, res, next) => {
   try {
@@ -18,11 +29,45 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      let userId;
+      let session;
+      let apiToken;
+
+      if (ApiToken.isApiToken(token)) {
+        // Personal access token
+        apiToken = await ApiToken.findActiveByToken(token);
+
+        if (!apiToken) {
+          await recordRejectedToken(req, 'invalid_api_token');
+
+          return res.status(401).json({
+            success: false,
+            message: 'API token is invalid, expired or revoked'
+          });
+        }
+
+        userId = apiToken.user;
+      } else {
+        // Verify token
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Access tokens must belong to a session that hasn't been revoked
+        session = decoded.sid && await Session.findActive(decoded.sid);
+
+        if (!session || !session.user.equals(decoded.id)) {
+          await recordRejectedToken(req, 'session_revoked', decoded.id);
+
+          return res.status(401).json({
+            success: false,
+            message: 'Session has been revoked. Please log in again.'
+          });
+        }
+
+        userId = decoded.id;
+      }
 
       // Get user from token
-      const user = await User.findById(decoded.id);
+      const user = await User.findById(userId);
 
       if (!user) {
         return res.status(401).json({
@@ -31,17 +76,40 @@ const protect = async (req, res, next) => {
         });
       }
 
-      // Attach user to request
+      if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.isEmailVerified) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email address'
+        });
+      }
+
+      // Record activity (at most once a minute)
+      if (session && Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+        session.lastSeenAt = new Date();
+        await session.save();
+      }
+
+      if (apiToken && (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > 60 * 1000)) {
+        apiToken.lastUsedAt = new Date();
+        await apiToken.save();
+      }
+
+      // Attach user and session (or API token) to request
       req.user = user;
+      req.authSession = session;
+      req.apiToken = apiToken;
       next();
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
+        // Expired access tokens are routine (the client refreshes), so they aren't logged
         return res.status(401).json({
           success: false,
           message: 'Token expired. Please log in again.'
         });
       }
-      
+
+      await recordRejectedToken(req, 'invalid_token');
+
       return res.status(401).json({
         success: false,
         message: 'Invalid token'
@@ -55,4 +123,42 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
\ No newline at end of file
+// Restrict a route to the given roles (use after protect)
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+};
+
+// Require API token scopes (use after protect). Interactive sessions have
+// full access, so this only restricts personal access tokens.
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (req.apiToken && !scopes.every(scope => req.apiToken.hasScope(scope))) {
+      return res.status(403).json({
+        success: false,
+        message: `API token is missing required scope: ${scopes.join(', ')}`
+      });
+    }
+    next();
+  };
+};
+
+// Reject personal access tokens on routes that need an interactive session
+const requireSession = (req, res, next) => {
+  if (!req.authSession) {
+    return res.status(403).json({
+      success: false,
+      message: 'This route cannot be used with an API token'
+    });
+  }
+  next();
+};
+
+module.exports = { protect, authorize, requireScope, requireSession };
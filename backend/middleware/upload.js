@@ -53,4 +53,24 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
-module.exports = upload;
\ No newline at end of file
+// Image-only uploads (avatars)
+const imageFileFilter = (req, file, cb) => {
+  const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only JPEG, PNG, GIF and WebP images are allowed.'), false);
+  }
+};
+
+const imageUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_AVATAR_SIZE) || 2097152 // 2MB default
+  },
+  fileFilter: imageFileFilter
+});
+
+module.exports = upload;
+module.exports.imageUpload = imageUpload;
\ No newline at end of file
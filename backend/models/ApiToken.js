@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'pat_';
+
+const SCOPES = [
+  'tasks:read',
+  'tasks:write',
+  'attachments:write',
+  'users:read',
+  'users:write'
+];
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // First characters of the token, shown so users can tell tokens apart
+  tokenPrefix: String,
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+apiTokenSchema.index({ tokenHash: 1 });
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+apiTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Whether a bearer token looks like a personal access token
+apiTokenSchema.statics.isApiToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Generate a new raw token; only its hash is stored on the document
+apiTokenSchema.statics.generate = function() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  return {
+    token,
+    tokenHash: this.hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  };
+};
+
+// Find the active (not revoked or expired) token matching a raw value
+apiTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: null,
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  });
+};
+
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+apiTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: Date,
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Conditions for an invitation that can still be accepted
+const pendingQuery = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+invitationSchema.statics.findPending = function(conditions = {}) {
+  return this.find({ ...conditions, ...pendingQuery() });
+};
+
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(String(token)), ...pendingQuery() });
+};
+
+// Issue a new token (replacing any previous one) and push out the expiry
+invitationSchema.methods.issueToken = function(expiresInDays) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  this.lastSentAt = new Date();
+
+  return token;
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { SCOPES } = require('../utils/taskAccess');
+
+const STATUSES = ['To Do', 'In Progress', 'Completed'];
+// 'relevance' ranks text searches by match quality
+const SORT_FIELDS = ['relevance', 'dueDate', 'createdAt', 'updatedAt', 'title', 'priority', 'status'];
+
+// A named set of getTasks filters that a user can reuse and share
+const savedViewSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  filters: {
+    scope: {
+      type: String,
+      enum: SCOPES,
+      default: 'assigned'
+    },
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    priority: {
+      type: String,
+      enum: ['High', 'Medium', 'Low']
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    search: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Search cannot exceed 500 characters']
+    }
+  },
+  sort: {
+    field: {
+      type: String,
+      enum: SORT_FIELDS,
+      default: 'dueDate'
+    },
+    order: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'asc'
+    }
+  },
+  // Board columns (statuses) the view shows
+  columns: {
+    type: [{
+      type: String,
+      enum: STATUSES
+    }],
+    default: STATUSES,
+    validate: {
+      validator: (columns) => columns.length > 0,
+      message: 'A view must show at least one column'
+    }
+  },
+  shared: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+savedViewSchema.index({ owner: 1 });
+savedViewSchema.index({ shared: 1 });
+
+// Views a user can use: their own and everyone's shared ones
+savedViewSchema.statics.visibleTo = function(userId) {
+  return { $or: [{ owner: userId }, { shared: true }] };
+};
+
+// The view's filters as getTasks query parameters
+savedViewSchema.methods.toTaskQuery = function() {
+  const { scope, status, priority, tags, search } = this.filters;
+
+  return {
+    scope,
+    ...(status && { status }),
+    ...(priority && { priority }),
+    ...(tags.length > 0 && { tags: tags.join(',') }),
+    ...(search && { search }),
+    sortBy: this.sort.field,
+    order: this.sort.order
+  };
+};
+
+savedViewSchema.statics.SORT_FIELDS = SORT_FIELDS;
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
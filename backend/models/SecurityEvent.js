@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'login',
+  'logout',
+  'account_locked',
+  'account_unlocked',
+  'password_changed',
+  'password_reset_requested',
+  'password_reset',
+  'email_verified',
+  'magic_link_requested',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'session_revoked',
+  'refresh_token_reused',
+  'api_token_created',
+  'api_token_revoked',
+  'token_rejected',
+  'account_deletion_scheduled',
+  'account_deletion_cancelled'
+];
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: EVENT_TYPES
+  },
+  // Missing when the attempt could not be tied to an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, type: 1, outcome: 1, userAgent: 1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: -1 });
+
+// Remove events once their retention period ends
+securityEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+securityEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
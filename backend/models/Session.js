@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+
+// Remove sessions from the collection once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Find a session that has not been revoked or expired
+sessionSchema.statics.findActive = function(id) {
+  return this.findOne({
+    _id: id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Revoke every active session for a user, optionally keeping one.
+// Returns the IDs of the revoked sessions.
+sessionSchema.statics.revokeAllForUser = async function(userId, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await this.find(query).select('_id');
+  const ids = sessions.map(s => s._id);
+
+  if (ids.length > 0) {
+    await this.updateMany({ _id: { $in: ids } }, { revokedAt: new Date() });
+  }
+
+  return ids;
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -17,6 +17,57 @@ const commentSchema = new mongoose.Schema({
   }
 });
 
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [500, 'Checklist item cannot exceed 500 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date
+});
+
+// RRULE-style recurrence (see utils/recurrence.js)
+const recurrenceSchema = new mongoose.Schema({
+  freq: {
+    type: String,
+    enum: ['DAILY', 'WEEKLY', 'MONTHLY'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  byDay: [{
+    type: String,
+    enum: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+  }],
+  byMonthDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  bySetPos: Number,
+  until: Date,
+  count: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
 const attachmentSchema = new mongoose.Schema({
   filename: {
     type: String,
@@ -48,7 +99,7 @@ const auditSchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['created', 'updated', 'status_changed', 'priority_changed', 'assigned', 'reassigned', 'comment_added', 'attachment_added', 'attachment_removed']
+    enum: ['created', 'updated', 'status_changed', 'priority_changed', 'assigned', 'reassigned', 'comment_added', 'attachment_added', 'attachment_removed', 'watcher_added', 'watcher_removed', 'checklist_item_added', 'checklist_item_updated', 'checklist_item_removed', 'subtask_added', 'subtask_removed', 'dependency_added', 'dependency_removed', 'recurrence_updated', 'occurrence_created', 'deleted', 'restored']
   },
   field: String,
   oldValue: mongoose.Schema.Types.Mixed,
@@ -77,6 +128,16 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Task must be assigned to a user']
   },
+  // Users sharing the task with the primary assignee
+  coAssignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users following the task's updates without working on it
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -101,6 +162,40 @@ const taskSchema = new mongoose.Schema({
     trim: true,
     maxlength: 50
   }],
+  // Parent task when this task is a subtask
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Refuse to complete this task while subtasks or checklist items are open
+  requireChildrenComplete: {
+    type: Boolean,
+    default: false
+  },
+  // Tasks that must be completed before this one can start
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined
+  },
+  // First task of the recurring series this task belongs to
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  // 1-based position in the series
+  occurrence: Number,
+  // The occurrence generated from this one, once it exists
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  checklist: [checklistItemSchema],
   attachments: [attachmentSchema],
   comments: [commentSchema],
   auditHistory: [auditSchema],
@@ -108,6 +203,12 @@ const taskSchema = new mongoose.Schema({
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  // When and by whom the task was moved to the trash
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -116,8 +217,21 @@ const taskSchema = new mongoose.Schema({
 // Indexes for performance
 taskSchema.index({ assignedTo: 1, status: 1 });
 taskSchema.index({ assignedTo: 1, priority: 1 });
+taskSchema.index({ coAssignees: 1, status: 1 });
+taskSchema.index({ watchers: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ tags: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ series: 1 });
+taskSchema.index({ isDeleted: 1, deletedAt: 1 });
+taskSchema.index({ 'recurrence.freq': 1, nextOccurrence: 1, dueDate: 1 });
+
+// Full-text search, ranked with title matches first
+taskSchema.index(
+  { title: 'text', tags: 'text', description: 'text', 'comments.text': 'text' },
+  { name: 'task_text_search', weights: { title: 10, tags: 5, description: 2, 'comments.text': 1 } }
+);
 
 // Add audit entry helper method
 taskSchema.methods.addAuditEntry = function(userId, action, details = {}) {
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -16,6 +17,11 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
   },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -26,11 +32,127 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // New address awaiting confirmation before it replaces `email`
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  avatar: String,
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpire: {
+    type: Date,
+    select: false
+  },
+  // Passwordless sign-in link, bound to the requesting browser by a nonce
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkNonce: {
+    type: String,
+    select: false
+  },
+  magicLinkExpire: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret awaiting confirmation with a first code during enrolment
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // Number of consecutive lockouts, drives the exponential backoff
+  lockCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  unlockToken: {
+    type: String,
+    select: false
+  },
+  unlockTokenExpire: {
+    type: Date,
+    select: false
+  },
+  // Identity provider account linked through SSO
+  ssoIssuer: String,
+  ssoSubject: String,
+  // Admins can opt in to emails about sign-ins from new devices
+  newDeviceAlerts: {
+    type: Boolean,
+    default: false
+  },
+  // Self-service deletion scheduled after a grace period
+  deletionScheduledAt: Date,
+  deletionReassignTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When the ADMIN_EMAILS setting made this account an admin
+  bootstrapAdminGrantedAt: Date,
   lastLogin: Date
 }, {
   timestamps: true
 });
 
+// Accounts listed in ADMIN_EMAILS become admins once, when their address is
+// verified, so an admin can still demote them afterwards
+userSchema.pre('save', function(next) {
+  const verifiedNow = this.isNew || this.isModified('isEmailVerified') || this.isModified('email');
+
+  if (verifiedNow && this.isEmailVerified && !this.bootstrapAdminGrantedAt &&
+    this.constructor.isBootstrapAdmin(this.email)) {
+    this.role = 'admin';
+    this.bootstrapAdminGrantedAt = new Date();
+  }
+
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -51,10 +173,164 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether an email is listed in the ADMIN_EMAILS bootstrap setting
+userSchema.statics.isBootstrapAdmin = function(email) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+
+  return adminEmails.includes(String(email).toLowerCase());
+};
+
+// Hash a raw token for storage/lookup
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return token;
+};
+
+// Generate password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpire = Date.now() + 60 * 60 * 1000; // 1 hour
+
+  return token;
+};
+
+// Generate a single-use sign-in link token tied to a browser nonce
+userSchema.methods.createMagicLinkToken = function(nonce) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+
+  this.magicLinkToken = this.constructor.hashToken(token);
+  this.magicLinkNonce = this.constructor.hashToken(nonce);
+  this.magicLinkExpire = Date.now() + minutes * 60 * 1000;
+
+  return token;
+};
+
+// Generate one-time recovery codes (only the hashes are stored)
+userSchema.methods.createRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code => this.constructor.hashToken(code));
+
+  return codes;
+};
+
+// Consume a recovery code, returns true if it was valid
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = this.constructor.hashToken(String(code || '').trim().toLowerCase());
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Whether the account is currently locked out
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed login attempt. Locks the account once the threshold is
+// reached and returns an unlock token when that happens. The counter is
+// updated atomically so parallel guesses can't all read the same count.
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+  const maxMinutes = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60;
+
+  const counted = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: 'failedLoginAttempts lockCount' }
+  );
+
+  if (!counted || counted.failedLoginAttempts < maxAttempts) {
+    return null;
+  }
+
+  // Double the lock duration for each consecutive lockout
+  const minutes = Math.min(baseMinutes * 2 ** (counted.lockCount || 0), maxMinutes);
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Only the attempt that resets the counter locks the account, so
+  // concurrent attempts past the threshold don't each send an unlock email
+  const locked = await this.constructor.findOneAndUpdate(
+    { _id: this._id, failedLoginAttempts: { $gte: maxAttempts } },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockUntil,
+        unlockToken: this.constructor.hashToken(token),
+        unlockTokenExpire: lockUntil
+      },
+      $inc: { lockCount: 1 }
+    },
+    { new: true, projection: 'lockUntil lockCount' }
+  );
+
+  if (!locked) {
+    return null;
+  }
+
+  this.lockUntil = locked.lockUntil;
+  this.lockCount = locked.lockCount;
+
+  return token;
+};
+
+// Clear lockout state, optionally resetting the backoff
+userSchema.methods.clearLoginLock = function({ resetBackoff = false } = {}) {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.unlockToken = undefined;
+  this.unlockTokenExpire = undefined;
+
+  if (resetBackoff) {
+    this.lockCount = 0;
+  }
+};
+
 // Transform output to remove sensitive fields
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpire;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpire;
+  delete user.magicLinkToken;
+  delete user.magicLinkNonce;
+  delete user.magicLinkExpire;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorLastUsedStep;
+  delete user.twoFactorRecoveryCodes;
+  delete user.failedLoginAttempts;
+  delete user.lockUntil;
+  delete user.lockCount;
+  delete user.unlockToken;
+  delete user.unlockTokenExpire;
   delete user.__v;
   return user;
 };
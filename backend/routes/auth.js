@@ -2,11 +2,43 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const {
+  getRegistrationConfig,
+  getInvitation,
   register,
   login,
-  getMe
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  loginTwoFactor,
+  requestMagicLink,
+  verifyMagicLink,
+  getOidcConfig,
+  oidcLogin,
+  oidcCallback,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  getMe,
+  updateMe,
+  updatePassword,
+  uploadAvatar,
+  deleteAvatar,
+  exportMyData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { protect, requireSession } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
+
+// Account security routes need an interactive session, not an API token
+const sessionOnly = [protect, requireSession];
 
 // Validation middleware
 const registerValidation = [
@@ -22,8 +54,64 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const emailValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+];
+
+const updateProfileValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Valid email is required')
+];
+
+const updatePasswordValidation = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+];
+
+const resetPasswordValidation = [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+];
+
+router.get('/registration', getRegistrationConfig);
+router.get('/invitations/:token', getInvitation);
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
-router.get('/me', protect, getMe);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/magic-link', emailValidation, requestMagicLink);
+router.post('/magic-link/verify', verifyMagicLink);
+router.get('/oidc/config', getOidcConfig);
+router.get('/oidc/login', oidcLogin);
+router.get('/oidc/callback', oidcCallback);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', emailValidation, resendVerification);
+router.post('/forgot-password', emailValidation, forgotPassword);
+router.post('/reset-password/:token', resetPasswordValidation, resetPassword);
+router.get('/unlock-account/:token', unlockAccount);
+router.post('/refresh', refreshToken);
+router.post('/logout', sessionOnly, logout);
+router.route('/me')
+  .get(protect, getMe)
+  .put(sessionOnly, updateProfileValidation, updateMe);
+router.route('/me/avatar')
+  .put(sessionOnly, imageUpload.single('avatar'), uploadAvatar)
+  .delete(sessionOnly, deleteAvatar);
+router.get('/me/export', sessionOnly, exportMyData);
+router.route('/me/deletion')
+  .post(sessionOnly, scheduleAccountDeletion)
+  .delete(sessionOnly, cancelAccountDeletion);
+router.put('/password', sessionOnly, updatePasswordValidation, updatePassword);
+
+router.route('/sessions')
+  .get(sessionOnly, getSessions)
+  .delete(sessionOnly, revokeAllSessions);
+router.delete('/sessions/:id', sessionOnly, revokeSession);
+
+router.post('/2fa/setup', sessionOnly, setupTwoFactor);
+router.post('/2fa/confirm', sessionOnly, confirmTwoFactor);
+router.post('/2fa/disable', sessionOnly, disableTwoFactor);
 
 module.exports = router;
\ No newline at end of file
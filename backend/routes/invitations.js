@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const { protect, authorize, requireScope } = require('../middleware/auth');
+
+// Validation
+const createInvitationValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('role').optional().isIn(['admin', 'member']).withMessage('Role must be admin or member'),
+  body('expiresInDays').optional().isInt({ min: 1 }).withMessage('Expiry must be a positive number of days')
+];
+
+// Only admins manage invitations
+router.use(protect, requireScope('users:write'), authorize('admin'));
+
+router.route('/')
+  .get(getInvitations)
+  .post(createInvitationValidation, createInvitation);
+
+router.post('/:id/resend', resendInvitation);
+router.delete('/:id', revokeInvitation);
+
+module.exports = router;
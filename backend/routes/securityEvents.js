@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getMyEvents,
+  getEvents,
+  updateAlertSettings
+} = require('../controllers/securityEventController');
+const { protect, authorize, requireScope, requireSession } = require('../middleware/auth');
+
+// Validation
+const alertSettingsValidation = [
+  body('newDeviceAlerts').isBoolean().withMessage('newDeviceAlerts must be true or false')
+];
+
+router.use(protect);
+
+router.get('/me', requireSession, getMyEvents);
+router.get('/', requireScope('users:read'), authorize('admin'), getEvents);
+router.put('/alerts', requireSession, authorize('admin'), alertSettingsValidation, updateAlertSettings);
+
+module.exports = router;
@@ -7,18 +7,34 @@ const {
   createTask,
   updateTask,
   deleteTask,
+  bulkUpdateTasks,
+  getTrash,
+  restoreTask,
   addComment,
+  addWatcher,
+  removeWatcher,
+  getChecklist,
+  addChecklistItem,
+  updateChecklistItem,
+  removeChecklistItem,
+  getSubtasks,
+  addSubtask,
+  removeSubtask,
+  getDependencies,
+  addDependency,
+  removeDependency,
   addAttachment,
   removeAttachment,
   downloadAttachment
 } = require('../controllers/taskController');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 
 // Validation
 const createTaskValidation = [
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('assignedTo').notEmpty().withMessage('Task must be assigned to a user'),
+  body('coAssignees').optional().isArray().withMessage('coAssignees must be an array'),
   body('dueDate').isISO8601().withMessage('Valid due date is required'),
   body('priority').optional().isIn(['High', 'Medium', 'Low']).withMessage('Invalid priority')
 ];
@@ -27,33 +43,80 @@ const updateTaskValidation = [
   body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
   body('dueDate').optional().isISO8601().withMessage('Valid due date required'),
   body('priority').optional().isIn(['High', 'Medium', 'Low']).withMessage('Invalid priority'),
-  body('status').optional().isIn(['To Do', 'In Progress', 'Completed']).withMessage('Invalid status')
+  body('status').optional().isIn(['To Do', 'In Progress', 'Completed']).withMessage('Invalid status'),
+  body('assignedTo').optional().isMongoId().withMessage('Invalid assignee'),
+  body('coAssignees').optional().isArray().withMessage('coAssignees must be an array'),
+  body('notifyAssignee').optional().isBoolean().withMessage('notifyAssignee must be a boolean'),
+  body('overrideBlockers').optional().isBoolean().withMessage('overrideBlockers must be a boolean')
+];
+
+const bulkValidation = [
+  body('action').notEmpty().withMessage('Bulk action is required'),
+  body('ids').optional().isArray({ min: 1 }).withMessage('ids must be a non-empty array'),
+  body('filter').optional().isObject().withMessage('filter must be an object'),
+  body('overrideBlockers').optional().isBoolean().withMessage('overrideBlockers must be a boolean')
 ];
 
 const commentValidation = [
   body('text').trim().notEmpty().withMessage('Comment text is required')
 ];
 
+const checklistItemValidation = [
+  body('text').trim().notEmpty().withMessage('Checklist item text is required'),
+  body('assignee').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid assignee')
+];
+
 // All routes require authentication
 router.use(protect);
 
 router.route('/')
-  .get(getTasks)
-  .post(createTaskValidation, createTask);
+  .get(requireScope('tasks:read'), getTasks)
+  .post(requireScope('tasks:write'), createTaskValidation, createTask);
+
+// Before /:id so "bulk" and "trash" aren't taken for task ids
+router.post('/bulk', requireScope('tasks:write'), bulkValidation, bulkUpdateTasks);
+router.get('/trash', requireScope('tasks:read'), getTrash);
 
 router.route('/:id')
-  .get(getTask)
-  .put(updateTaskValidation, updateTask)
-  .delete(deleteTask);
+  .get(requireScope('tasks:read'), getTask)
+  .put(requireScope('tasks:write'), updateTaskValidation, updateTask)
+  .delete(requireScope('tasks:write'), deleteTask);
+
+router.post('/:id/restore', requireScope('tasks:write'), restoreTask);
+
+router.post('/:id/comments', requireScope('tasks:write'), commentValidation, addComment);
+
+router.post('/:id/watchers', requireScope('tasks:write'), addWatcher);
+router.delete('/:id/watchers/:userId', requireScope('tasks:write'), removeWatcher);
+
+router.route('/:id/checklist')
+  .get(requireScope('tasks:read'), getChecklist)
+  .post(requireScope('tasks:write'), checklistItemValidation, addChecklistItem);
+
+router.route('/:id/checklist/:itemId')
+  .put(requireScope('tasks:write'), updateChecklistItem)
+  .delete(requireScope('tasks:write'), removeChecklistItem);
+
+router.route('/:id/subtasks')
+  .get(requireScope('tasks:read'), getSubtasks)
+  .post(requireScope('tasks:write'), addSubtask);
+
+router.route('/:id/subtasks/:subtaskId')
+  .delete(requireScope('tasks:write'), removeSubtask);
+
+router.route('/:id/dependencies')
+  .get(requireScope('tasks:read'), getDependencies)
+  .post(requireScope('tasks:write'), addDependency);
 
-router.post('/:id/comments', commentValidation, addComment);
+router.route('/:id/dependencies/:blockerId')
+  .delete(requireScope('tasks:write'), removeDependency);
 
 router.route('/:id/attachments')
-  .post(upload.single('file'), addAttachment);
+  .post(requireScope('attachments:write'), upload.single('file'), addAttachment);
 
 router.route('/:id/attachments/:attachmentId')
-  .delete(removeAttachment);
+  .delete(requireScope('attachments:write'), removeAttachment);
 
-router.get('/:id/attachments/:attachmentId/download', downloadAttachment);
+router.get('/:id/attachments/:attachmentId/download', requireScope('tasks:read'), downloadAttachment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getTokens,
+  createToken,
+  revokeToken
+} = require('../controllers/tokenController');
+const { protect, requireSession } = require('../middleware/auth');
+
+// Validation
+const createTokenValidation = [
+  body('name').trim().notEmpty().withMessage('Token name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('expiresInDays').optional().isInt({ min: 1 }).withMessage('Expiry must be a positive number of days')
+];
+
+// Tokens can only be managed from an interactive session
+router.use(protect, requireSession);
+
+router.route('/')
+  .get(getTokens)
+  .post(createTokenValidation, createToken);
+
+router.delete('/:id', revokeToken);
+
+module.exports = router;
@@ -4,18 +4,22 @@ const { body } = require('express-validator');
 const {
   getUsers,
   getUser,
+  updateUserRole,
   deleteUser,
   getUserStats
 } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize, requireScope } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(protect);
 
-router.get('/', getUsers);
-router.get('/:id', getUser);
-router.get('/:id/stats', getUserStats);
-router.delete('/:id', [
+router.get('/', requireScope('users:read'), getUsers);
+router.get('/:id', requireScope('users:read'), getUser);
+router.get('/:id/stats', requireScope('users:read'), getUserStats);
+router.put('/:id/role', requireScope('users:write'), authorize('admin'), [
+  body('role').isIn(['admin', 'member']).withMessage('Invalid role')
+], updateUserRole);
+router.delete('/:id', requireScope('users:write'), authorize('admin'), [
   body('reassignTo').optional().isMongoId().withMessage('Invalid reassign user ID')
 ], deleteUser);
 
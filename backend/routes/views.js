@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const {
+  getViews,
+  getView,
+  createView,
+  updateView,
+  deleteView
+} = require('../controllers/savedViewController');
+const { protect, requireScope } = require('../middleware/auth');
+
+// Validation
+const createViewValidation = [
+  body('name').trim().notEmpty().withMessage('View name is required'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('sort').optional().isObject().withMessage('sort must be an object'),
+  body('columns').optional().isArray({ min: 1 }).withMessage('A view must show at least one column'),
+  body('shared').optional().isBoolean().withMessage('shared must be a boolean')
+];
+
+const updateViewValidation = [
+  body('name').optional().trim().notEmpty().withMessage('View name cannot be empty'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('sort').optional().isObject().withMessage('sort must be an object'),
+  body('columns').optional().isArray({ min: 1 }).withMessage('A view must show at least one column'),
+  body('shared').optional().isBoolean().withMessage('shared must be a boolean')
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(requireScope('tasks:read'), getViews)
+  .post(requireScope('tasks:write'), createViewValidation, createView);
+
+router.route('/:id')
+  .get(requireScope('tasks:read'), getView)
+  .put(requireScope('tasks:write'), updateViewValidation, updateView)
+  .delete(requireScope('tasks:write'), deleteView);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { createTicket } = require('../controllers/wsController');
+const { protect, requireSession } = require('../middleware/auth');
+
+// Real-time updates are tied to an interactive session
+router.post('/ticket', protect, requireSession, createTicket);
+
+module.exports = router;
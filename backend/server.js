@@ -10,11 +10,18 @@ const path = require('path');
 
 const errorHandler = require('./middleware/errorHandler');
 const WebSocketServer = require('./websocket');
+const { startJobs } = require('./jobs');
+const { runMigrations } = require('./utils/migrations');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
 const userRoutes = require('./routes/users');
+const tokenRoutes = require('./routes/tokens');
+const invitationRoutes = require('./routes/invitations');
+const securityEventRoutes = require('./routes/securityEvents');
+const wsRoutes = require('./routes/ws');
+const viewRoutes = require('./routes/views');
 
 // Initialize app
 const app = express();
@@ -23,7 +30,11 @@ const server = http.createServer(app);
 // Connect to MongoDB (FIXED - No deprecated options)
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected successfully'))
+  .then(async () => {
+    console.log('MongoDB connected successfully');
+    await runMigrations();
+    startJobs();
+  })
   .catch((err) => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
@@ -64,13 +75,18 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Stricter rate limit for auth routes
+// (per-account lockout in authController handles targeted guessing)
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 5,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20,
   message: 'Too many authentication attempts, please try again later.'
 });
 app.use('/api/auth/login', authLimiter);
+app.use('/api/auth/magic-link', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/resend-verification', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
 
 // Serve uploaded files
 app.use('/uploads', express.static(path.join(__dirname, process.env.UPLOAD_PATH || 'uploads')));
@@ -79,6 +95,11 @@ app.use('/uploads', express.static(path.join(__dirname, process.env.UPLOAD_PATH
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/security-events', securityEventRoutes);
+app.use('/api/ws', wsRoutes);
+app.use('/api/views', viewRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
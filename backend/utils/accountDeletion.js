@@ -0,0 +1,72 @@
+const fs = require('fs').promises;
+const path = require('path');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const SavedView = require('../models/SavedView');
+
+// Reassign all of a user's active tasks to another user.
+// Returns the number of tasks reassigned.
+const reassignTasks = async (fromUser, toUser, actorId, reason) => {
+  const tasks = await Task.find({
+    assignedTo: fromUser._id,
+    isDeleted: false
+  });
+
+  for (const task of tasks) {
+    task.assignedTo = toUser._id;
+    task.coAssignees.pull(toUser._id);
+    task.addAuditEntry(actorId, 'reassigned', {
+      description: `Reassigned from ${fromUser.name} to ${toUser.name} (${reason})`
+    });
+    await task.save();
+
+    // Broadcast to WebSocket clients
+    if (global.wss) {
+      global.wss.broadcastToUser(toUser._id, {
+        type: 'TASK_CREATED',
+        task: await Task.findById(task._id)
+          .populate('assignedTo', 'name email avatar')
+          .populate('coAssignees', 'name email avatar')
+          .populate('watchers', 'name email avatar')
+          .populate('createdBy', 'name email avatar')
+      });
+    }
+  }
+
+  return tasks.length;
+};
+
+// Delete a user along with their sessions, API tokens, saved views and avatar, and take
+// them off any tasks they share or watch
+const deleteAccount = async (user) => {
+  const sessions = await Session.find({ user: user._id }).select('_id');
+
+  await Session.deleteMany({ user: user._id });
+  await ApiToken.deleteMany({ user: user._id });
+  await SavedView.deleteMany({ owner: user._id });
+  await Task.updateMany(
+    { $or: [{ coAssignees: user._id }, { watchers: user._id }] },
+    { $pull: { coAssignees: user._id, watchers: user._id } }
+  );
+
+  if (global.wss) {
+    sessions.forEach((session) => global.wss.disconnectSession(session._id));
+  }
+
+  if (user.avatar) {
+    try {
+      await fs.unlink(path.join(process.env.UPLOAD_PATH || './uploads', user.avatar));
+    } catch (err) {
+      console.error('Error deleting avatar:', err);
+    }
+  }
+
+  await User.findByIdAndDelete(user._id);
+};
+
+module.exports = {
+  reassignTasks,
+  deleteAccount
+};
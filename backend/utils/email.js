@@ -1,5 +1,14 @@
 const nodemailer = require('nodemailer');
 
+// Escape request-supplied values (such as user agents) before putting them in HTML
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
 // Create transporter
 const createTransporter = () => {
   return nodemailer.createTransport({
@@ -127,7 +136,302 @@ const sendPasswordResetEmail = async (user, token) => {
   }
 };
 
+// Send account locked notification
+const sendAccountLockedEmail = async (user, token, lockUntil) => {
+  const transporter = createTransporter();
+  const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${token}`;
+
+  const mailOptions = {
+    from: `"Task Management System" <${process.env.EMAIL_FROM}>`,
+    to: user.email,
+    subject: 'Your Account Has Been Locked',
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+            .warning { background: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Account Locked</h1>
+            </div>
+            <div class="content">
+              <p>Hi ${user.name},</p>
+              <p>We locked your account after several failed sign-in attempts. It will unlock automatically at ${new Date(lockUntil).toUTCString()}.</p>
+              <p>If this was you, you can unlock your account now:</p>
+              <p style="text-align: center;">
+                <a href="${unlockUrl}" class="button">Unlock Account</a>
+              </p>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #f5576c;">${unlockUrl}</p>
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong> If you didn't try to sign in, someone may be guessing your password. Consider resetting it once your account is unlocked.
+              </div>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Task Management System. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email send error:', error);
+    throw new Error('Failed to send account locked email');
+  }
+};
+
+// Send workspace invitation
+const sendInvitationEmail = async (invitation, token, inviter) => {
+  const transporter = createTransporter();
+  const inviteUrl = `${process.env.FRONTEND_URL}/register?invite=${token}`;
+
+  const mailOptions = {
+    from: `"Task Management System" <${process.env.EMAIL_FROM}>`,
+    to: invitation.email,
+    // The subject is plain text, so only line breaks need removing
+    subject: `${String(inviter.name).replace(/[\r\n]+/g, ' ')} invited you to Task Management`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You're Invited!</h1>
+            </div>
+            <div class="content">
+              <p>Hi,</p>
+              <p>${escapeHtml(inviter.name)} has invited you to join their Task Management workspace as ${invitation.role === 'admin' ? 'an admin' : 'a member'}.</p>
+              <p style="text-align: center;">
+                <a href="${inviteUrl}" class="button">Accept Invitation</a>
+              </p>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #667eea;">${inviteUrl}</p>
+              <p>This invitation will expire on ${invitation.expiresAt.toUTCString()}.</p>
+              <p>If you weren't expecting this invitation, you can ignore this email.</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Task Management System. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email send error:', error);
+    throw new Error('Failed to send invitation email');
+  }
+};
+
+// Send passwordless sign-in link
+const sendMagicLinkEmail = async (user, token) => {
+  const transporter = createTransporter();
+  const signInUrl = `${process.env.FRONTEND_URL}/magic-link?token=${token}`;
+  const minutes = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+
+  const mailOptions = {
+    from: `"Task Management System" <${process.env.EMAIL_FROM}>`,
+    to: user.email,
+    subject: 'Your Sign-In Link',
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+            .warning { background: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Sign In</h1>
+            </div>
+            <div class="content">
+              <p>Hi ${user.name},</p>
+              <p>Click the button below to sign in. Open it in the same browser you requested it from.</p>
+              <p style="text-align: center;">
+                <a href="${signInUrl}" class="button">Sign In</a>
+              </p>
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #667eea;">${signInUrl}</p>
+              <p>This link can be used once and will expire in ${minutes} minutes.</p>
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong> If you didn't request this link, you can safely ignore this email.
+              </div>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Task Management System. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email send error:', error);
+    throw new Error('Failed to send sign-in link email');
+  }
+};
+
+// Alert an admin about a sign-in from a new device
+const sendNewDeviceAlertEmail = async (admin, user, event) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"Task Management System" <${process.env.EMAIL_FROM}>`,
+    to: admin.email,
+    subject: `New Device Sign-In: ${user.email}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+            .warning { background: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>New Device Sign-In</h1>
+            </div>
+            <div class="content">
+              <p>Hi ${escapeHtml(admin.name)},</p>
+              <p>${escapeHtml(user.name)} (${escapeHtml(user.email)}) just signed in from a device we haven't seen for this account before.</p>
+              <ul>
+                <li><strong>Time:</strong> ${event.createdAt.toUTCString()}</li>
+                <li><strong>IP address:</strong> ${escapeHtml(event.ip || 'Unknown')}</li>
+                <li><strong>Device:</strong> ${escapeHtml(event.userAgent || 'Unknown')}</li>
+              </ul>
+              <div class="warning">
+                <strong>⚠️ Security Notice:</strong> If this sign-in looks suspicious, revoke the user's sessions and ask them to reset their password.
+              </div>
+              <p>You receive these alerts because you turned them on in your security settings.</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Task Management System. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email send error:', error);
+    throw new Error('Failed to send new device alert email');
+  }
+};
+
+// Tell a user that a task has been reassigned to them
+const sendTaskAssignedEmail = async (assignee, task, actor) => {
+  const transporter = createTransporter();
+  const dashboardUrl = `${process.env.FRONTEND_URL}/dashboard`;
+
+  const mailOptions = {
+    from: `"Task Management System" <${process.env.EMAIL_FROM}>`,
+    to: assignee.email,
+    subject: `Task assigned to you: ${task.title}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>New Task Assigned</h1>
+            </div>
+            <div class="content">
+              <p>Hi ${escapeHtml(assignee.name)},</p>
+              <p>${escapeHtml(actor.name)} assigned you the task <strong>${escapeHtml(task.title)}</strong>.</p>
+              <ul>
+                <li><strong>Priority:</strong> ${task.priority}</li>
+                <li><strong>Status:</strong> ${task.status}</li>
+                <li><strong>Due:</strong> ${task.dueDate.toUTCString()}</li>
+              </ul>
+              <p style="text-align: center;">
+                <a href="${dashboardUrl}" class="button">View Your Tasks</a>
+              </p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} Task Management System. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return { success: true };
+  } catch (error) {
+    console.error('Email send error:', error);
+    throw new Error('Failed to send task assignment email');
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
-  sendPasswordResetEmail
-};
\ No newline at end of file
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendInvitationEmail,
+  sendMagicLinkEmail,
+  sendNewDeviceAlertEmail,
+  sendTaskAssignedEmail
+};
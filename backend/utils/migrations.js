@@ -0,0 +1,33 @@
+const User = require('../models/User');
+
+// Accounts created before email verification existed have no
+// isEmailVerified field, and Mongoose reads it as false. Mark them verified
+// so REQUIRE_EMAIL_VERIFICATION doesn't lock them out. New accounts always
+// store the field, so this only touches older ones and is safe to rerun.
+const backfillEmailVerification = async () => {
+  const result = await User.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} existing account(s) as email verified`);
+  }
+};
+
+// Data fixes applied on every startup, in order
+const migrations = [
+  { name: 'email verification backfill', run: backfillEmailVerification }
+];
+
+const runMigrations = async () => {
+  for (const { name, run } of migrations) {
+    try {
+      await run();
+    } catch (error) {
+      console.error(`Migration "${name}" failed:`, error);
+    }
+  }
+};
+
+module.exports = { runMigrations };
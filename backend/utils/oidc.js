@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect authorization code + PKCE helpers
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const getConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scope: process.env.OIDC_SCOPES || 'openid email profile'
+});
+
+// SSO is available once an issuer, client and callback are configured
+const isEnabled = () => {
+  const { issuer, clientId, redirectUri } = getConfig();
+  return Boolean(issuer && clientId && redirectUri);
+};
+
+// Email domains that must sign in through SSO instead of a password
+const isSsoOnlyEmail = (email) => {
+  const domains = (process.env.SSO_ENFORCED_DOMAINS || '')
+    .split(',')
+    .map(d => d.trim().toLowerCase())
+    .filter(Boolean);
+
+  const domain = String(email || '').split('@').pop().toLowerCase();
+  return isEnabled() && domains.includes(domain);
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const message = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${message}`);
+  }
+
+  return body;
+};
+
+// Fetch (and cache) the provider's discovery document
+const discover = async () => {
+  if (discoveryCache && Date.now() - discoveryCache.fetchedAt < CACHE_TTL) {
+    return discoveryCache.metadata;
+  }
+
+  const { issuer } = getConfig();
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error('OIDC discovery issuer does not match configured issuer');
+  }
+
+  discoveryCache = { metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+// Find the signing key for a kid, refreshing the JWKS once if it is unknown
+const getSigningKey = async (kid) => {
+  const findKey = () => jwksCache.keys.find(key => !kid || key.kid === kid);
+
+  if (!jwksCache || Date.now() - jwksCache.fetchedAt > CACHE_TTL || !findKey()) {
+    const { jwks_uri: jwksUri } = await discover();
+    const { keys } = await fetchJson(jwksUri);
+    jwksCache = { keys, fetchedAt: Date.now() };
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('No matching OIDC signing key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const randomString = () => crypto.randomBytes(32).toString('base64url');
+
+// Create state, nonce and PKCE verifier for a new login attempt
+const createLoginRequest = () => {
+  const codeVerifier = randomString();
+
+  return {
+    state: randomString(),
+    nonce: randomString(),
+    codeVerifier,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  };
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const { clientId, redirectUri, scope } = getConfig();
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Validate an ID token's signature and claims, returning its payload
+const validateIdToken = async (idToken, nonce) => {
+  const { clientId } = getConfig();
+  const metadata = await discover();
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: metadata.issuer,
+    audience: clientId,
+    clockTolerance: 60
+  });
+
+  // With multiple audiences the authorized party must be us
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Exchange an authorization code for tokens and return the validated ID token claims
+const exchangeCode = async ({ code, codeVerifier, nonce }) => {
+  const { clientId, clientSecret, redirectUri } = getConfig();
+  const { token_endpoint: tokenEndpoint } = await discover();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (clientSecret) {
+    params.set('client_secret', clientSecret);
+  }
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  return validateIdToken(tokens.id_token, nonce);
+};
+
+module.exports = {
+  isEnabled,
+  isSsoOnlyEmail,
+  createLoginRequest,
+  buildAuthorizationUrl,
+  exchangeCode
+};
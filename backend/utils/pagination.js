@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Cursor pagination over a sort field plus _id (the tie-breaker that keeps
+// the order stable when several documents share a sort value). A cursor is
+// the sort value and _id of the last document on the previous page.
+
+const invalidCursor = () => {
+  const error = new Error('Invalid cursor');
+  error.statusCode = 400;
+  return error;
+};
+
+const encodeCursor = (doc, sortField) => {
+  const value = doc[sortField];
+
+  return Buffer.from(JSON.stringify({
+    value: value instanceof Date ? value.toISOString() : value,
+    isDate: value instanceof Date,
+    id: doc._id.toString()
+  })).toString('base64url');
+};
+
+// Cursors come from clients, so only plain sort values are accepted (an
+// object could smuggle query operators into cursorQuery)
+const decodeCursor = (cursor) => {
+  let fields;
+
+  try {
+    fields = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  const { value, isDate, id } = fields || {};
+
+  if (typeof id !== 'string' || !mongoose.isValidObjectId(id)) {
+    throw invalidCursor();
+  }
+
+  if (isDate) {
+    const date = typeof value === 'string' ? new Date(value) : null;
+
+    if (!date || Number.isNaN(date.getTime())) {
+      throw invalidCursor();
+    }
+
+    return { value: date, id: new mongoose.Types.ObjectId(id) };
+  }
+
+  if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) {
+    throw invalidCursor();
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Relevance-ranked results can't be filtered by their score, so their
+// cursors hold the number of results already returned instead
+const encodeOffsetCursor = (offset) =>
+  Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+const decodeOffsetCursor = (cursor) => {
+  let offset;
+
+  try {
+    ({ offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString()) || {});
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw invalidCursor();
+  }
+
+  return offset;
+};
+
+// Query conditions for the documents after a cursor in the given sort order
+const cursorQuery = (cursor, sortField, sortOrder) => {
+  const { value, id } = decodeCursor(cursor);
+  const after = sortOrder === -1 ? '$lt' : '$gt';
+
+  return {
+    $or: [
+      { [sortField]: { [after]: value } },
+      { [sortField]: value, _id: { [after]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  cursorQuery,
+  encodeOffsetCursor,
+  decodeOffsetCursor
+};
@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+// Recurrence rules follow a subset of iCalendar RRULE:
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly weekdays, or a single
+//   weekday with BYSETPOS for "nth weekday" monthly rules), BYMONTHDAY,
+//   UNTIL and COUNT (COUNT includes the first task of the series).
+// Dates are handled in UTC so due dates keep their time of day.
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const invalidRule = (message) => {
+  const error = new Error(`Invalid recurrence: ${message}`);
+  error.statusCode = 400;
+  return error;
+};
+
+// Accept an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE") or an object with the
+// same fields in camelCase, and return a validated rule object. Weekly and
+// monthly rules without a day are pinned to the day of `start` so the series
+// doesn't drift (e.g. after a short month).
+const parseRule = (input, start) => {
+  let fields = input;
+
+  if (typeof input === 'string') {
+    fields = {};
+    input.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+      const [key, value = ''] = part.split('=');
+      fields[key.trim().toUpperCase()] = value.trim();
+    });
+
+    fields = {
+      freq: fields.FREQ,
+      interval: fields.INTERVAL,
+      byDay: fields.BYDAY ? fields.BYDAY.split(',') : undefined,
+      byMonthDay: fields.BYMONTHDAY,
+      bySetPos: fields.BYSETPOS,
+      until: fields.UNTIL,
+      count: fields.COUNT
+    };
+  }
+
+  if (!fields || typeof fields !== 'object') {
+    throw invalidRule('expected an RRULE string or object');
+  }
+
+  const rule = {
+    freq: String(fields.freq || '').toUpperCase(),
+    interval: fields.interval === undefined ? 1 : Number(fields.interval)
+  };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw invalidRule(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw invalidRule('INTERVAL must be a positive whole number');
+  }
+
+  const byDay = (fields.byDay || []).map(day => String(day).toUpperCase());
+  if (byDay.some(day => !WEEKDAYS.includes(day))) {
+    throw invalidRule(`BYDAY must use ${WEEKDAYS.join(', ')}`);
+  }
+
+  if (rule.freq === 'WEEKLY' && byDay.length > 0) {
+    rule.byDay = [...new Set(byDay)];
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    if (fields.bySetPos !== undefined && fields.bySetPos !== null && fields.bySetPos !== '') {
+      rule.bySetPos = Number(fields.bySetPos);
+
+      if (![1, 2, 3, 4, -1].includes(rule.bySetPos) || byDay.length !== 1) {
+        throw invalidRule('BYSETPOS must be 1-4 or -1 with a single BYDAY weekday');
+      }
+
+      rule.byDay = byDay;
+    } else if (fields.byMonthDay !== undefined && fields.byMonthDay !== null && fields.byMonthDay !== '') {
+      rule.byMonthDay = Number(fields.byMonthDay);
+
+      if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) {
+        throw invalidRule('BYMONTHDAY must be between 1 and 31');
+      }
+    }
+  }
+
+  if (fields.until) {
+    // RRULE dates may be compact (20261231 or 20261231T000000Z)
+    const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(fields.until);
+    rule.until = compact
+      ? new Date(Date.UTC(compact[1], compact[2] - 1, compact[3], compact[4] || 23, compact[5] || 59, compact[6] || 59))
+      : new Date(fields.until);
+
+    if (Number.isNaN(rule.until.getTime())) {
+      throw invalidRule('UNTIL must be a date');
+    }
+  }
+
+  if (fields.count !== undefined && fields.count !== null && fields.count !== '') {
+    rule.count = Number(fields.count);
+
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      throw invalidRule('COUNT must be a positive whole number');
+    }
+  }
+
+  if (rule.until && rule.count) {
+    throw invalidRule('use either UNTIL or COUNT, not both');
+  }
+
+  if (start && rule.freq === 'WEEKLY' && !rule.byDay) {
+    rule.byDay = [WEEKDAYS[start.getUTCDay()]];
+  }
+
+  if (start && rule.freq === 'MONTHLY' && !rule.bySetPos && !rule.byMonthDay) {
+    rule.byMonthDay = start.getUTCDate();
+  }
+
+  return rule;
+};
+
+// Format a rule as an RRULE string
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.bySetPos) parts.push(`BYSETPOS=${rule.bySetPos}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(';');
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Same time of day as `date`, on the given UTC year/month/day
+const withDate = (date, year, month, day) => {
+  const result = new Date(date);
+  result.setUTCFullYear(year, month, day);
+  return result;
+};
+
+// Day of month of the nth (or last, for -1) weekday in a month
+const nthWeekday = (year, month, weekday, position) => {
+  if (position === -1) {
+    const last = daysInMonth(year, month);
+    const lastWeekday = new Date(Date.UTC(year, month, last)).getUTCDay();
+    return last - ((lastWeekday - weekday + 7) % 7);
+  }
+
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + ((weekday - firstWeekday + 7) % 7) + (position - 1) * 7;
+};
+
+const nextDaily = (rule, from) => new Date(from.getTime() + rule.interval * DAY_MS);
+
+// Weeks start on Monday, as with RRULE's default WKST
+const nextWeekly = (rule, from) => {
+  const days = (rule.byDay?.length ? rule.byDay : [WEEKDAYS[from.getUTCDay()]])
+    .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+    .sort((a, b) => a - b);
+  const current = (from.getUTCDay() + 6) % 7;
+
+  // A later day in the same week, otherwise the first day `interval` weeks on
+  const laterDay = days.find(day => day > current);
+  const offset = laterDay !== undefined
+    ? laterDay - current
+    : rule.interval * 7 - current + days[0];
+
+  return new Date(from.getTime() + offset * DAY_MS);
+};
+
+// Months without the requested day (e.g. the 31st) use their last day
+const nextMonthly = (rule, from) => {
+  const monthIndex = from.getUTCMonth() + rule.interval;
+  const year = from.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+
+  const day = rule.bySetPos
+    ? nthWeekday(year, month, WEEKDAYS.indexOf(rule.byDay[0]), rule.bySetPos)
+    : Math.min(rule.byMonthDay || from.getUTCDate(), daysInMonth(year, month));
+
+  return withDate(from, year, month, day);
+};
+
+// Due date of the occurrence after one due on `from`, or null once the
+// series has ended. `occurrence` is the 1-based position of `from`.
+const getNextDueDate = (rule, from, occurrence = 1) => {
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  const next = {
+    DAILY: nextDaily,
+    WEEKLY: nextWeekly,
+    MONTHLY: nextMonthly
+  }[rule.freq](rule, from);
+
+  if (rule.until && next > rule.until) {
+    return null;
+  }
+
+  return next;
+};
+
+// Create the next task in a recurring series, linking it from the current
+// one. Returns the new task, or null if the series has ended or the next
+// occurrence already exists.
+const createNextOccurrence = async (task, actorId) => {
+  if (!task.recurrence?.freq || task.nextOccurrence) {
+    return null;
+  }
+
+  const occurrence = task.occurrence || 1;
+  const dueDate = getNextDueDate(task.recurrence, task.dueDate, occurrence);
+  if (!dueDate) {
+    return null;
+  }
+
+  // Claim the link first so completion and the scheduler can't both create it
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await Task.updateOne(
+    { _id: task._id, nextOccurrence: null },
+    { $set: { nextOccurrence: nextId } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  const seriesId = task.series || task._id;
+
+  const next = new Task({
+    _id: nextId,
+    title: task.title,
+    description: task.description,
+    assignedTo: task.assignedTo,
+    coAssignees: task.coAssignees,
+    watchers: task.watchers,
+    createdBy: task.createdBy,
+    priority: task.priority,
+    tags: task.tags,
+    dueDate,
+    status: 'To Do',
+    requireChildrenComplete: task.requireChildrenComplete,
+    checklist: task.checklist.map(({ text, order, assignee }) => ({ text, order, assignee })),
+    recurrence: task.recurrence.toObject(),
+    series: seriesId,
+    occurrence: occurrence + 1
+  });
+
+  next.addAuditEntry(actorId, 'created', {
+    field: 'series',
+    newValue: seriesId,
+    description: `Created as occurrence ${occurrence + 1} of a recurring series (${formatRule(task.recurrence)})`
+  });
+
+  try {
+    await next.save();
+  } catch (error) {
+    // Release the claim so a later attempt can create the occurrence
+    await Task.updateOne(
+      { _id: task._id, nextOccurrence: nextId },
+      { $set: { nextOccurrence: null } }
+    );
+    throw error;
+  }
+
+  await Task.updateOne({ _id: task._id }, {
+    $push: {
+      auditHistory: {
+        user: actorId,
+        action: 'occurrence_created',
+        field: 'nextOccurrence',
+        newValue: nextId,
+        description: `Next occurrence created, due ${dueDate.toISOString().split('T')[0]}`
+      }
+    }
+  });
+
+  return next;
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  parseRule,
+  formatRule,
+  getNextDueDate,
+  createNextOccurrence
+};
@@ -0,0 +1,59 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const { sendNewDeviceAlertEmail } = require('./email');
+
+const getRetentionDate = () => {
+  const days = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 90;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Email opted-in admins when an account signs in from a device it hasn't used before
+const alertOnNewDevice = async (event, user) => {
+  const previousLogins = {
+    _id: { $ne: event._id },
+    user: user._id,
+    type: 'login',
+    outcome: 'success'
+  };
+
+  // A first sign-in isn't a new device, and a known browser isn't either
+  if (!await SecurityEvent.exists(previousLogins) ||
+    await SecurityEvent.exists({ ...previousLogins, userAgent: event.userAgent })) {
+    return;
+  }
+
+  const admins = await User.find({ role: 'admin', newDeviceAlerts: true });
+
+  await Promise.all(admins.map(admin => sendNewDeviceAlertEmail(admin, user, event)
+    .catch(error => console.error('New device alert email error:', error.message))));
+};
+
+// Record a security event. Logging must never break the request it describes,
+// so failures are only reported to the console.
+const recordSecurityEvent = async (req, { type, user, email, outcome = 'success', details }) => {
+  try {
+    const event = await SecurityEvent.create({
+      type,
+      user: user?._id || user,
+      email: email || user?.email,
+      outcome,
+      ip: req?.ip,
+      userAgent: req?.get('User-Agent'),
+      details,
+      expiresAt: getRetentionDate()
+    });
+
+    // Alerts are sent in the background so they don't hold up the login
+    if (type === 'login' && outcome === 'success' && user?._id) {
+      alertOnNewDevice(event, user)
+        .catch(error => console.error('New device alert error:', error.message));
+    }
+
+    return event;
+  } catch (error) {
+    console.error('Security event error:', error.message);
+    return null;
+  }
+};
+
+module.exports = { recordSecurityEvent };
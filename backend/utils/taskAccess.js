@@ -0,0 +1,104 @@
+const Task = require('../models/Task');
+
+// Task access rules.
+// Creators, assignees (primary or co-assignees) and watchers can always read
+// and comment on a task. Who may
+// edit, reassign or delete it is configurable with a comma-separated list of
+// roles (creator, assignee) in TASK_EDIT_ROLES, TASK_REASSIGN_ROLES and
+// TASK_DELETE_ROLES.
+const TASK_ROLES = ['creator', 'assignee'];
+
+const parseRoles = (value, fallback) => {
+  const roles = (value || fallback)
+    .split(',')
+    .map(role => role.trim().toLowerCase())
+    .filter(role => TASK_ROLES.includes(role));
+
+  return roles.length > 0 ? roles : fallback.split(',');
+};
+
+const getTaskRights = () => ({
+  edit: parseRoles(process.env.TASK_EDIT_ROLES, 'creator,assignee'),
+  reassign: parseRoles(process.env.TASK_REASSIGN_ROLES, 'creator,assignee'),
+  delete: parseRoles(process.env.TASK_DELETE_ROLES, 'creator,assignee')
+});
+
+// Reference fields may be ObjectIds or populated documents
+const toId = (ref) => (ref?._id || ref)?.toString();
+
+// The primary assignee followed by any co-assignees
+const getAssigneeIds = (task) => [
+  ...new Set([task.assignedTo, ...(task.coAssignees || [])].filter(Boolean).map(toId))
+];
+
+// The roles a user holds on a task
+const getTaskRoles = (task, user) => {
+  const userId = toId(user);
+  const roles = [];
+
+  if (toId(task.createdBy) === userId) roles.push('creator');
+  if (getAssigneeIds(task).includes(userId)) roles.push('assignee');
+  if ((task.watchers || []).map(toId).includes(userId)) roles.push('watcher');
+
+  return roles;
+};
+
+const canEditTask = (task, user) =>
+  getTaskRoles(task, user).some(role => getTaskRights().edit.includes(role));
+
+const canReassignTask = (task, user) =>
+  getTaskRoles(task, user).some(role => getTaskRights().reassign.includes(role));
+
+const canDeleteTask = (task, user) =>
+  getTaskRoles(task, user).some(role => getTaskRights().delete.includes(role));
+
+// Query conditions for the tasks a user can see in a given scope
+const SCOPES = ['assigned', 'created', 'watching', 'all-visible'];
+
+const visibleTasksQuery = (userId, scope = 'all-visible') => {
+  switch (scope) {
+    case 'assigned':
+      return { $or: [{ assignedTo: userId }, { coAssignees: userId }] };
+    case 'created':
+      return { createdBy: userId };
+    case 'watching':
+      return { watchers: userId };
+    default:
+      return {
+        $or: [
+          { assignedTo: userId },
+          { coAssignees: userId },
+          { createdBy: userId },
+          { watchers: userId }
+        ]
+      };
+  }
+};
+
+// Find a non-deleted task the user can see
+const findVisibleTask = (taskId, userId) => Task.findOne({
+  _id: taskId,
+  isDeleted: false,
+  ...visibleTasksQuery(userId)
+});
+
+// Everyone who should hear about changes to a task
+const getTaskParticipants = (task) => [
+  ...new Set([
+    ...getAssigneeIds(task),
+    toId(task.createdBy),
+    ...(task.watchers || []).map(toId)
+  ].filter(Boolean))
+];
+
+module.exports = {
+  SCOPES,
+  getTaskRights,
+  getAssigneeIds,
+  canEditTask,
+  canReassignTask,
+  canDeleteTask,
+  visibleTasksQuery,
+  findVisibleTask,
+  getTaskParticipants
+};
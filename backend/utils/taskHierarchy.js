@@ -0,0 +1,130 @@
+const Task = require('../models/Task');
+
+// Subtasks and checklist items roll up into their parent's progress, and
+// `blockedBy` links hold a task back until its blockers are completed.
+
+// Count direct subtasks (total and completed) for a set of parent tasks
+const getSubtaskCounts = async (taskIds) => {
+  const counts = await Task.aggregate([
+    { $match: { parent: { $in: taskIds }, isDeleted: false } },
+    {
+      $group: {
+        _id: '$parent',
+        total: { $sum: 1 },
+        completed: {
+          $sum: { $cond: [{ $eq: ['$status', 'Completed'] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  return new Map(counts.map(count => [count._id.toString(), count]));
+};
+
+const getProgress = (task, subtaskCounts = {}) => {
+  const checklist = task.checklist || [];
+  const total = checklist.length + (subtaskCounts.total || 0);
+  const completed = checklist.filter(item => item.done).length + (subtaskCounts.completed || 0);
+
+  return {
+    total,
+    completed,
+    percent: total > 0 ? Math.round((completed / total) * 100) : 0
+  };
+};
+
+// Ids of the given blocker tasks that are still open
+const getOpenBlockerIds = async (blockerIds) => {
+  if (blockerIds.length === 0) {
+    return new Set();
+  }
+
+  const openBlockers = await Task.find({
+    _id: { $in: blockerIds },
+    isDeleted: false,
+    status: { $ne: 'Completed' }
+  }).select('_id');
+
+  return new Set(openBlockers.map(blocker => blocker._id.toString()));
+};
+
+// The open tasks blocking a task
+const findOpenBlockers = (task) => Task.find({
+  _id: { $in: task.blockedBy || [] },
+  isDeleted: false,
+  status: { $ne: 'Completed' }
+}).select('title status');
+
+// Plain copies of the tasks (documents or lean objects) with a `progress`
+// summary and `blocked` flag added
+const withTaskState = async (tasks) => {
+  const counts = await getSubtaskCounts(tasks.map(task => task._id));
+  const openBlockerIds = await getOpenBlockerIds(
+    tasks.flatMap(task => task.blockedBy || [])
+  );
+
+  return tasks.map(task => ({
+    ...(task.toObject ? task.toObject() : task),
+    progress: getProgress(task, counts.get(task._id.toString())),
+    blocked: (task.blockedBy || []).some(id => openBlockerIds.has(id.toString()))
+  }));
+};
+
+// Whether any checklist item or subtask of a task is still open
+const hasOpenChildren = async (task) => {
+  if (task.checklist.some(item => !item.done)) {
+    return true;
+  }
+
+  return Boolean(await Task.exists({
+    parent: task._id,
+    isDeleted: false,
+    status: { $ne: 'Completed' }
+  }));
+};
+
+// Whether `ancestorId` is the task itself or one of its parents
+const isSelfOrAncestor = async (ancestorId, task) => {
+  const target = ancestorId.toString();
+  let current = task;
+
+  while (current) {
+    if (current._id.toString() === target) {
+      return true;
+    }
+
+    current = current.parent && await Task.findById(current.parent).select('parent');
+  }
+
+  return false;
+};
+
+// Whether making `taskId` depend on `blockerId` would close a loop, i.e. the
+// blocker already (directly or transitively) waits on the task
+const wouldCreateCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  const seen = new Set();
+  let frontier = [blockerId.toString()];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) {
+      return true;
+    }
+
+    frontier.forEach(id => seen.add(id));
+
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('blockedBy');
+    frontier = [...new Set(tasks.flatMap(task => task.blockedBy.map(id => id.toString())))]
+      .filter(id => !seen.has(id));
+  }
+
+  return false;
+};
+
+module.exports = {
+  withTaskState,
+  hasOpenChildren,
+  isSelfOrAncestor,
+  findOpenBlockers,
+  wouldCreateCycle
+};
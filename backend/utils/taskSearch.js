@@ -0,0 +1,209 @@
+const User = require('../models/User');
+
+// Task search query language, e.g.
+//   status:"In Progress" priority:high tag:backend due:<2026-11-01 assignee:me "login bug"
+// Filters are `key:value` (quote values with spaces); anything else is free
+// text for the text index: words, "quoted phrases" and -excluded words.
+const STATUSES = {
+  'to do': 'To Do',
+  todo: 'To Do',
+  'in progress': 'In Progress',
+  'in-progress': 'In Progress',
+  inprogress: 'In Progress',
+  completed: 'Completed',
+  done: 'Completed'
+};
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+const FILTER_KEYS = ['status', 'priority', 'tag', 'due', 'assignee', 'creator'];
+
+const SNIPPET_RADIUS = 60;
+
+const invalidSearch = (message) => {
+  const error = new Error(`Invalid search: ${message}`);
+  error.statusCode = 400;
+  return error;
+};
+
+// Split a query into filter and text tokens, keeping quoted values together
+const tokenize = (input) => {
+  const tokens = [];
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    const [, negated, key, quoted, bare] = match;
+    const value = quoted !== undefined ? quoted : bare;
+
+    if (key && FILTER_KEYS.includes(key.toLowerCase())) {
+      tokens.push({ key: key.toLowerCase(), value });
+    } else {
+      tokens.push({
+        text: key ? `${key}:${value}` : value,
+        phrase: quoted !== undefined,
+        negated: Boolean(negated)
+      });
+    }
+  }
+
+  return tokens;
+};
+
+const parseDateFilter = (value) => {
+  const match = /^(<=|>=|<|>|=)?(\d{4}-\d{2}-\d{2})$/.exec(value);
+  if (!match) {
+    throw invalidSearch(`due expects a date such as due:<2026-11-01, got "${value}"`);
+  }
+
+  const [, operator = '=', day] = match;
+  const start = new Date(`${day}T00:00:00.000Z`);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(start.getTime())) {
+    throw invalidSearch(`"${day}" is not a valid date`);
+  }
+
+  return {
+    '<': { $lt: start },
+    '<=': { $lt: end },
+    '>': { $gte: end },
+    '>=': { $gte: start },
+    '=': { $gte: start, $lt: end }
+  }[operator];
+};
+
+// `me`, an email address or an exact (case-insensitive) name
+const resolveUser = async (value, userId) => {
+  if (value.toLowerCase() === 'me') {
+    return userId;
+  }
+
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const user = await User.findOne(value.includes('@')
+    ? { email: value.toLowerCase() }
+    : { name: new RegExp(`^${escaped}$`, 'i') });
+
+  if (!user) {
+    throw invalidSearch(`no user matches "${value}"`);
+  }
+
+  return user._id;
+};
+
+// Parse a search query into Mongo conditions, a $text search string and
+// the terms to highlight in results
+const parseSearchQuery = async (input, userId) => {
+  const conditions = [];
+  const textParts = [];
+  const highlightTerms = [];
+
+  for (const token of tokenize(String(input || ''))) {
+    if (token.key) {
+      const value = token.value.trim();
+
+      switch (token.key) {
+        case 'status': {
+          const status = STATUSES[value.toLowerCase()];
+          if (!status) {
+            throw invalidSearch(`unknown status "${value}"`);
+          }
+          conditions.push({ status });
+          break;
+        }
+        case 'priority': {
+          const priority = PRIORITIES.find(p => p.toLowerCase() === value.toLowerCase());
+          if (!priority) {
+            throw invalidSearch(`priority must be high, medium or low, got "${value}"`);
+          }
+          conditions.push({ priority });
+          break;
+        }
+        case 'tag':
+          conditions.push({ tags: value });
+          break;
+        case 'due':
+          conditions.push({ dueDate: parseDateFilter(value) });
+          break;
+        case 'assignee': {
+          const assigneeId = await resolveUser(value, userId);
+          conditions.push({ $or: [{ assignedTo: assigneeId }, { coAssignees: assigneeId }] });
+          break;
+        }
+        case 'creator':
+          conditions.push({ createdBy: await resolveUser(value, userId) });
+          break;
+        default:
+          break;
+      }
+    } else if (token.text) {
+      // Quotes would end a $text phrase early, so they are dropped
+      const text = token.text.replace(/"/g, '');
+
+      textParts.push(`${token.negated ? '-' : ''}${token.phrase ? `"${text}"` : text}`);
+      if (!token.negated) {
+        highlightTerms.push(text);
+      }
+    }
+  }
+
+  return {
+    conditions,
+    text: textParts.join(' '),
+    highlightTerms
+  };
+};
+
+const termPattern = (terms) => {
+  const alternatives = terms
+    .filter(Boolean)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .sort((a, b) => b.length - a.length);
+
+  return alternatives.length > 0 ? new RegExp(`(${alternatives.join('|')})`, 'gi') : null;
+};
+
+// Split text into [{ text, match }] segments so clients can highlight
+// matches without rendering HTML from the server
+const highlight = (text, pattern) => {
+  if (!pattern || !text) {
+    return [{ text: text || '', match: false }];
+  }
+
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: new RegExp(`^${pattern.source}$`, 'i').test(part) }));
+};
+
+// The part of a text around its first match, or null if nothing matches
+const excerpt = (text, pattern) => {
+  if (!text || !pattern) return null;
+
+  pattern.lastIndex = 0;
+  const match = pattern.exec(text);
+  pattern.lastIndex = 0;
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Highlighted title and a snippet from the description or a comment
+const buildHighlights = (task, terms) => {
+  const pattern = termPattern(terms);
+  const snippetSource = excerpt(task.description, pattern) ||
+    (task.comments || []).map(comment => excerpt(comment.text, pattern)).find(Boolean);
+
+  return {
+    title: highlight(task.title, pattern),
+    snippet: snippetSource ? highlight(snippetSource, pattern) : null
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildHighlights
+};
@@ -0,0 +1,45 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Task = require('../models/Task');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deleted tasks stay in the trash for this many days before they're purged
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// When a task was deleted. Tasks deleted before deletedAt was recorded fall
+// back to their last update, which is when they were deleted. The aggregation
+// form is used to sort, page and purge on the same date.
+const DELETION_DATE = { $ifNull: ['$deletedAt', '$updatedAt'] };
+
+// When a deleted task will be purged
+const getPurgeDate = (task) =>
+  new Date((task.deletedAt || task.updatedAt).getTime() + getRetentionDays() * DAY_MS);
+
+// Permanently delete a task and its attachment files, and drop links to it
+// from other tasks
+const purgeTask = async (task) => {
+  for (const attachment of task.attachments) {
+    try {
+      await fs.unlink(path.join(process.env.UPLOAD_PATH || './uploads', attachment.filename));
+    } catch (error) {
+      // Keep the task (and retry later) unless the file is already gone
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+  await Task.updateMany({ parent: task._id }, { $set: { parent: null } });
+  // The previous occurrence keeps its nextOccurrence link so the recurrence
+  // scheduler doesn't create the purged occurrence again
+  await Task.deleteOne({ _id: task._id });
+};
+
+module.exports = {
+  DELETION_DATE,
+  getRetentionDays,
+  getPurgeDate,
+  purgeTask
+};
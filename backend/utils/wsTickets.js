@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Single-use tickets for opening a WebSocket connection. They are kept in
+// memory because the WebSocket server runs in the same process as the API.
+const TICKET_TTL = 30 * 1000; // 30 seconds
+
+const tickets = new Map(); // ticket hash -> { userId, sessionId, expiresAt }
+
+const hashTicket = (ticket) => crypto.createHash('sha256').update(String(ticket)).digest('hex');
+
+const removeExpired = () => {
+  const now = Date.now();
+  tickets.forEach((entry, hash) => {
+    if (entry.expiresAt <= now) {
+      tickets.delete(hash);
+    }
+  });
+};
+
+// Issue a ticket for a user's session
+const issueTicket = (userId, sessionId) => {
+  removeExpired();
+
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + TICKET_TTL;
+
+  tickets.set(hashTicket(ticket), {
+    userId: userId.toString(),
+    sessionId: sessionId.toString(),
+    expiresAt
+  });
+
+  return { ticket, expiresAt: new Date(expiresAt) };
+};
+
+// Redeem a ticket, returning its owner or null. A ticket only works once.
+const consumeTicket = (ticket) => {
+  if (!ticket) return null;
+
+  const hash = hashTicket(ticket);
+  const entry = tickets.get(hash);
+  tickets.delete(hash);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return null;
+  }
+
+  return { userId: entry.userId, sessionId: entry.sessionId };
+};
+
+module.exports = {
+  issueTicket,
+  consumeTicket
+};
@@ -1,14 +1,34 @@
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
 const User = require('./models/User');
+const Session = require('./models/Session');
+const { consumeTicket } = require('./utils/wsTickets');
+
+// Browser origins allowed to open connections
+const getAllowedOrigins = () => [
+  process.env.FRONTEND_URL || 'http://localhost:5173',
+  ...(process.env.WS_ALLOWED_ORIGINS || '').split(',')
+]
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
 
 class WebSocketServer {
   constructor(server) {
     this.wss = new WebSocket.Server({ 
       server,
       verifyClient: (info, callback) => {
-        // Allow connection, we'll verify token in handleConnection
-        callback(true);
+        // Authenticate before the upgrade completes
+        this.verifyClient(info)
+          .then((auth) => {
+            if (!auth) {
+              return callback(false, 401, 'Unauthorized');
+            }
+            info.req.wsAuth = auth;
+            callback(true);
+          })
+          .catch((error) => {
+            console.error('WebSocket verification error:', error);
+            callback(false, 500, 'Authentication failed');
+          });
       }
     });
     
@@ -21,38 +41,47 @@ class WebSocketServer {
     console.log('WebSocket server initialized');
   }
 
-  async handleConnection(ws, req) {
-    try {
-      // Extract token from query string
-      const url = new URL(req.url, `http://${req.headers.host}`);
-      const token = url.searchParams.get('token');
-
-      if (!token) {
-        console.log('❌ WebSocket connection rejected: No token provided');
-        ws.close(1008, 'Token required');
-        return;
-      }
+  // Check the origin and redeem the connection ticket.
+  // Resolves to { user, session } or null if the client is rejected.
+  async verifyClient({ origin, req }) {
+    // Browsers always send an Origin; reject ones we don't serve
+    if (origin && !getAllowedOrigins().includes(origin)) {
+      console.log(`❌ WebSocket connection rejected: Origin ${origin} not allowed`);
+      return null;
+    }
 
-      // Verify token
-      let decoded;
-      try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
-      } catch (error) {
-        console.log('❌ WebSocket connection rejected: Invalid token');
-        ws.close(1008, 'Invalid token');
-        return;
-      }
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const ticket = consumeTicket(url.searchParams.get('ticket'));
+
+    if (!ticket) {
+      console.log('❌ WebSocket connection rejected: Invalid or expired ticket');
+      return null;
+    }
 
-      const user = await User.findById(decoded.id);
+    const session = await Session.findActive(ticket.sessionId);
 
-      if (!user) {
-        console.log('❌ WebSocket connection rejected: User not found');
-        ws.close(1008, 'User not found');
-        return;
-      }
+    if (!session || !session.user.equals(ticket.userId)) {
+      console.log('❌ WebSocket connection rejected: Session revoked');
+      return null;
+    }
+
+    const user = await User.findById(ticket.userId);
+
+    if (!user) {
+      console.log('❌ WebSocket connection rejected: User not found');
+      return null;
+    }
+
+    return { user, session };
+  }
+
+  handleConnection(ws, req) {
+    try {
+      const { user, session } = req.wsAuth;
 
       // Store connection
       ws.userId = user._id.toString();
+      ws.sessionId = session._id.toString();
       ws.isAlive = true;
       
       if (!this.clients.has(ws.userId)) {
@@ -135,6 +164,19 @@ class WebSocketServer {
     }
   }
 
+  // Close all connections opened with a revoked session
+  disconnectSession(sessionId) {
+    const id = sessionId.toString();
+
+    this.clients.forEach((connections) => {
+      connections.forEach((ws) => {
+        if (ws.sessionId === id) {
+          ws.close(4001, 'Session revoked');
+        }
+      });
+    });
+  }
+
   // Broadcast to all connected clients
   broadcast(message) {
     const messageStr = JSON.stringify(message);
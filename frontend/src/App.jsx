@@ -5,7 +5,15 @@ import { useAuth } from './context/useAuth';
 import { Toaster } from 'react-hot-toast';
 import Login from './components/Login';
 import Register from './components/Register';
+import VerifyEmail from './components/VerifyEmail';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import UnlockAccount from './components/UnlockAccount';
+import SsoCallback from './components/SsoCallback';
+import MagicLink from './components/MagicLink';
 import Dashboard from './components/Dashboard';
+import Settings from './components/Settings';
+import Trash from './components/Trash';
 import './styles/globals.css';
 import './styles/Auth.css';
 import './styles/Dashboard.css';
@@ -82,6 +90,26 @@ function App() {
               </PublicRoute>
             }
           />
+          <Route
+            path="/forgot-password"
+            element={
+              <PublicRoute>
+                <ForgotPassword />
+              </PublicRoute>
+            }
+          />
+          <Route
+            path="/reset-password"
+            element={
+              <PublicRoute>
+                <ResetPassword />
+              </PublicRoute>
+            }
+          />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/unlock-account" element={<UnlockAccount />} />
+          <Route path="/sso/callback" element={<SsoCallback />} />
+          <Route path="/magic-link" element={<MagicLink />} />
           <Route
             path="/dashboard"
             element={
@@ -90,6 +118,22 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/settings"
+            element={
+              <PrivateRoute>
+                <Settings />
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/trash"
+            element={
+              <PrivateRoute>
+                <Trash />
+              </PrivateRoute>
+            }
+          />
         </Routes>
       </Router>
     </AuthProvider>
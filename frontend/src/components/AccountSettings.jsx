@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/useAuth';
+import { authAPI, userAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiDownload, FiAlertTriangle, FiTrash2 } from 'react-icons/fi';
+
+const AccountSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [formData, setFormData] = useState({
+    confirmation: '',
+    reassignTo: ''
+  });
+  const [showDeleteForm, setShowDeleteForm] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const isSsoAccount = Boolean(user?.ssoSubject);
+
+  useEffect(() => {
+    if (!showDeleteForm) return;
+
+    const loadUsers = async () => {
+      try {
+        const response = await userAPI.getUsers();
+        setUsers(response.data.users.filter(u => u._id !== user?._id));
+      } catch (error) {
+        console.error('Failed to load users:', error);
+      }
+    };
+
+    loadUsers();
+  }, [showDeleteForm, user?._id]);
+
+  const handleExport = async () => {
+    setExporting(true);
+
+    try {
+      const response = await authAPI.exportMyData();
+
+      // Auth is sent in headers, so download through a temporary object URL
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `account-export-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export failed:', error);
+      toast.error('Failed to export your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleSchedule = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.scheduleDeletion({
+        ...(isSsoAccount
+          ? { confirmEmail: formData.confirmation }
+          : { password: formData.confirmation }),
+        ...(formData.reassignTo && { reassignTo: formData.reassignTo })
+      });
+      updateUser(response.data.user);
+      toast.success(response.data.message);
+      setShowDeleteForm(false);
+      setFormData({ confirmation: '', reassignTo: '' });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to schedule deletion');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      const response = await authAPI.cancelDeletion();
+      updateUser(response.data.user);
+      toast.success('Account deletion cancelled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel deletion');
+    }
+  };
+
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <h2><FiAlertTriangle /> Your Data</h2>
+        {user?.deletionScheduledAt && <span className="status-pill danger">Deletion scheduled</span>}
+      </div>
+
+      <p className="settings-description">
+        Download a copy of your profile, tasks, comments, activity and uploaded files.
+      </p>
+
+      <div className="settings-actions">
+        <button type="button" className="btn btn-secondary" onClick={handleExport} disabled={exporting}>
+          <FiDownload /> {exporting ? 'Preparing...' : 'Export My Data'}
+        </button>
+      </div>
+
+      <div className="danger-zone">
+        {user?.deletionScheduledAt ? (
+          <>
+            <p className="settings-description">
+              Your account will be permanently deleted on{' '}
+              <strong>{new Date(user.deletionScheduledAt).toLocaleDateString()}</strong>.
+              Until then you can change your mind.
+            </p>
+            <div className="settings-actions">
+              <button type="button" className="btn btn-secondary" onClick={handleCancel}>
+                Cancel Deletion
+              </button>
+            </div>
+          </>
+        ) : showDeleteForm ? (
+          <form onSubmit={handleSchedule}>
+            <p className="settings-description">
+              Your account is deleted after a grace period. Tasks assigned to you must be
+              handed over to a teammate.
+            </p>
+
+            <div className="input-group">
+              <label htmlFor="deletion-reassign">Reassign My Tasks To</label>
+              <select
+                id="deletion-reassign"
+                value={formData.reassignTo}
+                onChange={(e) => setFormData({ ...formData, reassignTo: e.target.value })}
+              >
+                <option value="">No one (only if I have no open tasks)</option>
+                {users.map((u) => (
+                  <option key={u._id} value={u._id}>
+                    {u.name} ({u.email})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="input-group">
+              <label htmlFor="deletion-confirmation">
+                {isSsoAccount ? 'Type your email address to confirm' : 'Password'}
+              </label>
+              <input
+                type={isSsoAccount ? 'email' : 'password'}
+                id="deletion-confirmation"
+                value={formData.confirmation}
+                onChange={(e) => setFormData({ ...formData, confirmation: e.target.value })}
+                placeholder={isSsoAccount ? user?.email : '••••••••'}
+                required
+              />
+            </div>
+
+            <div className="settings-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setShowDeleteForm(false)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-danger" disabled={loading}>
+                <FiTrash2 /> Schedule Deletion
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="settings-actions">
+            <button type="button" className="btn btn-danger" onClick={() => setShowDeleteForm(true)}>
+              <FiTrash2 /> Delete My Account
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { tokenAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiKey, FiPlus, FiTrash2, FiCopy } from 'react-icons/fi';
+
+const ApiTokenSettings = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [formData, setFormData] = useState({
+    name: '',
+    scopes: [],
+    expiresInDays: '90'
+  });
+  const [newToken, setNewToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const response = await tokenAPI.getTokens();
+      setTokens(response.data.tokens);
+      setAvailableScopes(response.data.scopes);
+    } catch (error) {
+      console.error('Failed to load tokens:', error);
+      toast.error('Failed to load API tokens');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTokens();
+  }, [loadTokens]);
+
+  const handleScopeToggle = (scope) => {
+    setFormData((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (formData.scopes.length === 0) {
+      toast.error('Select at least one scope');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await tokenAPI.createToken({
+        name: formData.name.trim(),
+        scopes: formData.scopes,
+        ...(formData.expiresInDays && { expiresInDays: parseInt(formData.expiresInDays) })
+      });
+      setNewToken(response.data.token);
+      setFormData({ name: '', scopes: [], expiresInDays: '90' });
+      loadTokens();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create token');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm('Revoke this token? Scripts using it will stop working.')) {
+      return;
+    }
+
+    try {
+      await tokenAPI.revokeToken(id);
+      toast.success('Token revoked');
+      loadTokens();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke token');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success('Token copied to clipboard');
+    } catch {
+      toast.error('Copy failed, select the token and copy it manually');
+    }
+  };
+
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <h2><FiKey /> API Tokens</h2>
+      </div>
+
+      <p className="settings-description">
+        Personal access tokens let scripts and integrations use the API on your behalf.
+        Send them as <code>Authorization: Bearer &lt;token&gt;</code>.
+      </p>
+
+      {newToken && (
+        <div className="recovery-codes">
+          <p>
+            <strong>Copy your new token now.</strong> It won't be shown again.
+          </p>
+          <code className="secret-key">{newToken}</code>
+          <div className="settings-actions">
+            <button type="button" className="btn btn-secondary btn-sm" onClick={handleCopy}>
+              <FiCopy /> Copy
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setNewToken(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <ul className="settings-list">
+          {tokens.map((apiToken) => (
+            <li key={apiToken.id} className="settings-list-item">
+              <div>
+                <strong>{apiToken.name}</strong> <code>{apiToken.tokenPrefix}…</code>
+                <div className="settings-meta">
+                  {apiToken.scopes.join(', ')}
+                  {' · '}
+                  {apiToken.expiresAt
+                    ? `Expires ${new Date(apiToken.expiresAt).toLocaleDateString()}`
+                    : 'Never expires'}
+                  {' · '}
+                  {apiToken.lastUsedAt
+                    ? `Last used ${new Date(apiToken.lastUsedAt).toLocaleString()}`
+                    : 'Never used'}
+                </div>
+              </div>
+              <button
+                className="icon-btn delete-btn"
+                onClick={() => handleRevoke(apiToken.id)}
+                title="Revoke token"
+              >
+                <FiTrash2 />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate}>
+        <div className="form-row">
+          <div className="input-group">
+            <label htmlFor="token-name">Token Name</label>
+            <input
+              type="text"
+              id="token-name"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="e.g., CI task sync"
+              required
+            />
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="token-expiry">Expires</label>
+            <select
+              id="token-expiry"
+              value={formData.expiresInDays}
+              onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+            >
+              <option value="7">In 7 days</option>
+              <option value="30">In 30 days</option>
+              <option value="90">In 90 days</option>
+              <option value="365">In 1 year</option>
+              <option value="">Never</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="input-group">
+          <label>Scopes</label>
+          <div className="scope-list">
+            {availableScopes.map((scope) => (
+              <label key={scope} className="scope-option">
+                <input
+                  type="checkbox"
+                  checked={formData.scopes.includes(scope)}
+                  onChange={() => handleScopeToggle(scope)}
+                />
+                {scope}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="settings-actions">
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            <FiPlus /> Create Token
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+};
+
+export default ApiTokenSettings;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { getAvatarUrl } from '../services/api';
+
+// User avatar image, falling back to initials
+const Avatar = ({ user, size = 24 }) => {
+  const avatarUrl = getAvatarUrl(user);
+  const initials = (user?.name || user?.email || '?')
+    .split(' ')
+    .map(part => part[0])
+    .join('')
+    .slice(0, 2)
+    .toUpperCase();
+
+  const style = { width: size, height: size, fontSize: size * 0.42 };
+
+  if (avatarUrl) {
+    return (
+      <img
+        className="avatar"
+        src={avatarUrl}
+        alt={user.name || user.email}
+        title={user.name || user.email}
+        style={style}
+      />
+    );
+  }
+
+  return (
+    <span className="avatar avatar-initials" title={user?.name || user?.email} style={style}>
+      {initials}
+    </span>
+  );
+};
+
+export default Avatar;
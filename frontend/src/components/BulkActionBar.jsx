@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { FiTag, FiCalendar, FiTrash2, FiX } from 'react-icons/fi';
+import { userAPI } from '../services/api';
+
+const STATUSES = ['To Do', 'In Progress', 'Completed'];
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+// Comma-separated tag names from a prompt
+const promptTags = (message) => (window.prompt(message) || '')
+  .split(',')
+  .map(tag => tag.trim())
+  .filter(Boolean);
+
+// Actions for the selected tasks; each choice is applied straight away
+const BulkActionBar = ({ count, busy, onApply, onClear }) => {
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    userAPI.getUsers()
+      .then(response => setUsers(response.data.users))
+      .catch(error => console.error('Failed to load users:', error));
+  }, []);
+
+  const handleAddTags = () => {
+    const tags = promptTags('Tags to add (comma separated)');
+    if (tags.length > 0) onApply('addTags', tags);
+  };
+
+  const handleRemoveTags = () => {
+    const tags = promptTags('Tags to remove (comma separated)');
+    if (tags.length > 0) onApply('removeTags', tags);
+  };
+
+  const handleShiftDueDate = () => {
+    const days = parseInt(window.prompt('Move due dates by how many days? (negative for earlier)', '7'));
+    if (days) onApply('shiftDueDate', days);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${count} selected task${count === 1 ? '' : 's'}?`)) {
+      onApply('delete');
+    }
+  };
+
+  return (
+    <div className="bulk-bar" role="toolbar" aria-label="Bulk actions">
+      <span className="bulk-count">{count} selected</span>
+
+      <select value="" onChange={(e) => onApply('status', e.target.value)} disabled={busy} aria-label="Set status">
+        <option value="" disabled>Set status...</option>
+        {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+      </select>
+
+      <select value="" onChange={(e) => onApply('priority', e.target.value)} disabled={busy} aria-label="Set priority">
+        <option value="" disabled>Set priority...</option>
+        {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+      </select>
+
+      <select value="" onChange={(e) => onApply('reassign', e.target.value)} disabled={busy} aria-label="Reassign">
+        <option value="" disabled>Reassign to...</option>
+        {users.map(user => <option key={user._id} value={user._id}>{user.name}</option>)}
+      </select>
+
+      <button type="button" className="btn btn-secondary btn-sm" onClick={handleAddTags} disabled={busy}>
+        <FiTag /> Add tags
+      </button>
+      <button type="button" className="btn btn-secondary btn-sm" onClick={handleRemoveTags} disabled={busy}>
+        <FiTag /> Remove tags
+      </button>
+      <button type="button" className="btn btn-secondary btn-sm" onClick={handleShiftDueDate} disabled={busy}>
+        <FiCalendar /> Shift due dates
+      </button>
+      <button type="button" className="btn btn-danger btn-sm" onClick={handleDelete} disabled={busy}>
+        <FiTrash2 /> Delete
+      </button>
+
+      <button type="button" className="icon-btn" onClick={onClear} title="Clear selection">
+        <FiX />
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -1,30 +1,168 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/useAuth'; 
 import { useWebSocket } from '../hooks/useWebSocket';
-import { taskAPI } from '../services/api';
+import { taskAPI, viewAPI } from '../services/api';
 import toast from 'react-hot-toast';
-import { FiLogOut, FiPlus, FiRefreshCw, FiWifi, FiWifiOff, FiEdit2, FiTrash2 } from 'react-icons/fi';
+import { FiLogOut, FiPlus, FiRefreshCw, FiWifi, FiWifiOff, FiEdit2, FiTrash2, FiSettings, FiLock, FiRepeat } from 'react-icons/fi';
 import TaskModal from './TaskModal';
+import Avatar from './Avatar';
+import TaskSearchBar from './TaskSearchBar';
+import ViewsSidebar from './ViewsSidebar';
+import BulkActionBar from './BulkActionBar';
+
+const SCOPES = [
+  { value: 'assigned', label: 'Assigned to me' },
+  { value: 'created', label: 'Created by me' },
+  { value: 'watching', label: 'Watching' }
+];
+
+const STATUSES = ['To Do', 'In Progress', 'Completed'];
+const PAGE_SIZE = 20;
+
+const SORTS = [
+  { value: 'dueDate:asc', label: 'Due soonest' },
+  { value: 'dueDate:desc', label: 'Due latest' },
+  { value: 'createdAt:desc', label: 'Newest' },
+  { value: 'updatedAt:desc', label: 'Recently updated' },
+  { value: 'title:asc', label: 'Title' }
+];
+const DEFAULT_SORT = { sortBy: 'dueDate', order: 'asc' };
+const RELEVANCE_SORT = { sortBy: 'relevance', order: 'desc' };
+
+const SEARCH_DELAY_MS = 300;
+
+const emptyColumns = () => Object.fromEntries(
+  STATUSES.map(status => [status, { tasks: [], total: 0, nextCursor: null, loadingMore: false }])
+);
+
+// Search results come with { text, match } segments for the matched text
+const renderHighlighted = (segments) => segments.map((segment, index) => (
+  segment.match
+    ? <mark key={index}>{segment.text}</mark>
+    : <React.Fragment key={index}>{segment.text}</React.Fragment>
+));
+
+const blockerNotice = (data) => (data.unblocked
+  ? `"${data.blockerTitle}" is done - "${data.taskTitle}" can start`
+  : `"${data.blockerTitle}" is done, but "${data.taskTitle}" is still blocked`);
 
 const Dashboard = () => {
-  const { user, logout } = useAuth();
-  const [tasks, setTasks] = useState([]);
+  const { user, logout, isAdmin } = useAuth();
+  const [columns, setColumns] = useState(emptyColumns);
+  const loadedCounts = useRef({});
   const [loading, setLoading] = useState(true);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
   const [draggedTask, setDraggedTask] = useState(null);
+  const [scope, setScope] = useState('assigned');
+  const [rights, setRights] = useState({ edit: [], delete: [] });
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [searchError, setSearchError] = useState(null);
+  // null until the user picks a sort: searches then rank by relevance
+  const [chosenSort, setChosenSort] = useState(null);
+  const [visibleColumns, setVisibleColumns] = useState(STATUSES);
+  const [views, setViews] = useState([]);
+  const [activeViewId, setActiveViewId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
 
+  const sort = chosenSort || (search ? RELEVANCE_SORT : DEFAULT_SORT);
+
+  // Only search once the user pauses typing
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Each visible column is loaded a page at a time
   const loadTasks = useCallback(async () => {
+    const statuses = STATUSES.filter(status => visibleColumns.includes(status));
+
     try {
-      const response = await taskAPI.getTasks();
-      setTasks(response.data.tasks);
+      const responses = await Promise.all(statuses.map(status => taskAPI.getTasks({
+        // The active view fills in filters the board has no control for
+        view: activeViewId || undefined,
+        scope,
+        status,
+        search,
+        sortBy: sort.sortBy,
+        order: sort.order,
+        // Reload as many tasks as are shown so a refresh doesn't collapse columns
+        limit: Math.max(PAGE_SIZE, loadedCounts.current[status] || 0)
+      })));
+
+      setColumns({
+        ...emptyColumns(),
+        ...Object.fromEntries(statuses.map((status, index) => {
+          const { tasks, total, nextCursor } = responses[index].data;
+          return [status, { tasks, total, nextCursor, loadingMore: false }];
+        }))
+      });
+      setRights(responses[0].data.rights);
+      setSearchError(null);
     } catch (error) {
+      // A query the server can't parse is shown under the search bar
+      if (search && error.response?.status === 400) {
+        setSearchError(error.response.data?.message);
+        return;
+      }
+
       console.error('Failed to load tasks:', error);
       toast.error('Failed to load tasks');
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [scope, search, sort, visibleColumns, activeViewId]);
+
+  useEffect(() => {
+    loadedCounts.current = Object.fromEntries(
+      STATUSES.map(status => [status, columns[status].tasks.length])
+    );
+  }, [columns]);
+
+  const loadMoreTasks = async (status) => {
+    setColumns(prev => ({ ...prev, [status]: { ...prev[status], loadingMore: true } }));
+
+    try {
+      const response = await taskAPI.getTasks({
+        view: activeViewId || undefined,
+        scope,
+        status,
+        search,
+        sortBy: sort.sortBy,
+        order: sort.order,
+        limit: PAGE_SIZE,
+        cursor: columns[status].nextCursor
+      });
+      const { tasks, total, nextCursor } = response.data;
+
+      setColumns(prev => ({
+        ...prev,
+        [status]: {
+          tasks: [...prev[status].tasks, ...tasks],
+          total,
+          nextCursor,
+          loadingMore: false
+        }
+      }));
+    } catch (error) {
+      console.error('Failed to load tasks:', error);
+      toast.error('Failed to load more tasks');
+      setColumns(prev => ({ ...prev, [status]: { ...prev[status], loadingMore: false } }));
+    }
+  };
+
+  // Whether the current user holds one of the roles allowed for an action
+  const hasTaskRight = (task, action) => {
+    const userId = user?._id || user?.id;
+    const roles = [];
+    if ((task.createdBy?._id || task.createdBy) === userId) roles.push('creator');
+    const assigneeIds = [task.assignedTo, ...(task.coAssignees || [])].map(u => u?._id || u);
+    if (assigneeIds.includes(userId)) roles.push('assignee');
+    return roles.some(role => rights[action]?.includes(role));
+  };
 
   const handleWebSocketMessage = useCallback((data) => {
     console.log('WebSocket message:', data.type);
@@ -35,7 +173,23 @@ const Dashboard = () => {
         loadTasks();
         break;
       case 'TASK_DELETED':
-        setTasks(prev => prev.filter(t => t._id !== data.taskId));
+        setColumns(prev => Object.fromEntries(STATUSES.map((status) => {
+          const column = prev[status];
+          const tasks = column.tasks.filter(t => t._id !== data.taskId);
+          return [status, { ...column, tasks, total: column.total - (column.tasks.length - tasks.length) }];
+        })));
+        break;
+      case 'BLOCKER_COMPLETED':
+        toast.success(blockerNotice(data));
+        loadTasks();
+        break;
+      // Many tasks changed at once (e.g. a bulk update)
+      case 'TASKS_CHANGED':
+        data.notices
+          .filter(notice => notice.type === 'BLOCKER_COMPLETED')
+          .forEach(notice => toast.success(blockerNotice(notice)));
+        setSelectedIds(prev => prev.filter(id => !data.deleted.includes(id)));
+        loadTasks();
         break;
       default:
         break;
@@ -45,9 +199,144 @@ const Dashboard = () => {
   const { isConnected } = useWebSocket(handleWebSocketMessage);
 
   useEffect(() => {
+    // New filters start from the first page again
+    loadedCounts.current = {};
     loadTasks();
   }, [loadTasks]);
 
+  useEffect(() => {
+    viewAPI.getViews()
+      .then(response => setViews(response.data.views))
+      .catch(error => console.error('Failed to load views:', error));
+  }, []);
+
+  // Show a saved view's filters on the board, or go back to the defaults
+  const handleSelectView = (view) => {
+    const searchText = view?.filters.search || '';
+
+    setActiveViewId(view?.id || null);
+    setScope(view?.filters.scope || 'assigned');
+    setSearchInput(searchText);
+    setSearch(searchText);
+    setChosenSort(view ? { sortBy: view.sort.field, order: view.sort.order } : null);
+    setVisibleColumns(view?.columns || STATUSES);
+  };
+
+  const handleSaveView = async () => {
+    const name = window.prompt('Name this view', search || SCOPES.find(s => s.value === scope)?.label);
+    if (!name?.trim()) {
+      return;
+    }
+
+    const activeView = views.find(view => view.id === activeViewId);
+
+    try {
+      const response = await viewAPI.createView({
+        name: name.trim(),
+        filters: { ...activeView?.filters, scope, search },
+        sort: { field: sort.sortBy, order: sort.order },
+        columns: visibleColumns
+      });
+      const view = response.data.view;
+
+      setViews(prev => [...prev, view].sort((a, b) => a.name.localeCompare(b.name)));
+      setActiveViewId(view.id);
+      toast.success('View saved');
+    } catch (error) {
+      console.error('Failed to save view:', error);
+      toast.error(error.response?.data?.message || 'Failed to save view');
+    }
+  };
+
+  const handleToggleShareView = async (view) => {
+    try {
+      const response = await viewAPI.updateView(view.id, { shared: !view.shared });
+      setViews(prev => prev.map(v => (v.id === view.id ? response.data.view : v)));
+      toast.success(response.data.view.shared ? 'View shared with the team' : 'View is now private');
+    } catch (error) {
+      console.error('Failed to update view:', error);
+      toast.error(error.response?.data?.message || 'Failed to update view');
+    }
+  };
+
+  const handleDeleteView = async (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) {
+      return;
+    }
+
+    try {
+      await viewAPI.deleteView(view.id);
+      setViews(prev => prev.filter(v => v.id !== view.id));
+      if (activeViewId === view.id) {
+        handleSelectView(null);
+      }
+    } catch (error) {
+      console.error('Failed to delete view:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete view');
+    }
+  };
+
+  // At least one column always stays on the board
+  const toggleColumn = (status) => {
+    setVisibleColumns(prev => {
+      if (prev.includes(status)) {
+        return prev.length > 1 ? prev.filter(s => s !== status) : prev;
+      }
+      return STATUSES.filter(s => s === status || prev.includes(s));
+    });
+  };
+
+  const toggleSelected = (taskId) => {
+    setSelectedIds(prev => (prev.includes(taskId)
+      ? prev.filter(id => id !== taskId)
+      : [...prev, taskId]));
+  };
+
+  // Select every loaded task in a column, or clear them if all are selected
+  const toggleColumnSelected = (status) => {
+    const columnIds = getTasksByStatus(status).map(task => task._id);
+    const allSelected = columnIds.every(id => selectedIds.includes(id));
+
+    setSelectedIds(prev => (allSelected
+      ? prev.filter(id => !columnIds.includes(id))
+      : [...new Set([...prev, ...columnIds])]));
+  };
+
+  const handleBulkAction = async (action, value, overrideBlockers = false, ids = selectedIds) => {
+    setBulkBusy(true);
+
+    try {
+      const response = await taskAPI.bulkUpdateTasks({ ids, action, value, overrideBlockers });
+      const { message, failed, results } = response.data;
+
+      if (failed > 0) {
+        const blocked = results.filter(result => result.blocked);
+
+        // Blocked tasks can still be moved once the user confirms
+        if (blocked.length > 0 && window.confirm(
+          `${blocked.length} task(s) are blocked by open tasks.\n\nMove them to ${value} anyway?`
+        )) {
+          return handleBulkAction(action, value, true, blocked.map(result => result.id));
+        }
+
+        const firstFailure = results.find(result => !result.success);
+        toast.error(`${message}. ${failed} failed: ${firstFailure.message}`);
+      } else if (action === 'delete') {
+        showDeletedToast(message, results.filter(result => result.changed).map(result => result.id));
+      } else {
+        toast.success(message);
+      }
+
+      setSelectedIds([]);
+      loadTasks();
+    } catch (error) {
+      console.error('Failed to update tasks:', error);
+      toast.error(error.response?.data?.message || 'Failed to update tasks');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     toast.success('Logged out successfully');
@@ -67,6 +356,38 @@ const Dashboard = () => {
     setIsModalOpen(true);
   };
 
+  // Bring deleted tasks back from the trash
+  const restoreTasks = async (taskIds) => {
+    try {
+      await Promise.all(taskIds.map(id => taskAPI.restoreTask(id)));
+      toast.success(taskIds.length === 1 ? 'Task restored' : `${taskIds.length} tasks restored`);
+      loadTasks();
+    } catch (error) {
+      console.error('Failed to restore task:', error);
+      toast.error(error.response?.data?.message || 'Failed to restore task');
+      loadTasks();
+    }
+  };
+
+  // A success toast with an Undo button that restores the deleted tasks
+  const showDeletedToast = (message, taskIds) => {
+    toast.success((t) => (
+      <span className="undo-toast">
+        {message}
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => {
+            toast.dismiss(t.id);
+            restoreTasks(taskIds);
+          }}
+        >
+          Undo
+        </button>
+      </span>
+    ), { duration: 6000 });
+  };
+
   const handleDeleteTask = async (taskId) => {
     if (!window.confirm('Are you sure you want to delete this task?')) {
       return;
@@ -74,11 +395,11 @@ const Dashboard = () => {
 
     try {
       await taskAPI.deleteTask(taskId);
-      toast.success('Task deleted successfully');
+      showDeletedToast('Task moved to trash', [taskId]);
       loadTasks();
     } catch (error) {
       console.error('Failed to delete task:', error);
-      toast.error('Failed to delete task');
+      toast.error(error.response?.data?.message || 'Failed to delete task');
     }
   };
 
@@ -113,20 +434,33 @@ const Dashboard = () => {
     }
 
     try {
-      await taskAPI.updateTask(draggedTask._id, { status: newStatus });
+      await moveTask(draggedTask, newStatus);
+    } finally {
+      setDraggedTask(null);
+    }
+  };
+
+  const moveTask = async (task, newStatus, overrideBlockers = false) => {
+    try {
+      await taskAPI.updateTask(task._id, { status: newStatus, overrideBlockers });
       toast.success(`Task moved to ${newStatus}`);
       loadTasks();
     } catch (error) {
+      const data = error.response?.data;
+
+      // Blocked tasks can still be moved once the user confirms
+      if (data?.blocked && window.confirm(`${data.message}\n\nMove it to ${newStatus} anyway?`)) {
+        return moveTask(task, newStatus, true);
+      }
+
       console.error('Failed to update task:', error);
-      toast.error('Failed to move task');
-    } finally {
-      setDraggedTask(null);
+      toast.error(data?.message || 'Failed to move task');
     }
   };
 
-  const getTasksByStatus = (status) => {
-    return tasks.filter(task => task.status === status);
-  };
+  const getTasksByStatus = (status) => columns[status].tasks;
+
+  const tasks = STATUSES.flatMap(getTasksByStatus);
 
   if (loading) {
     return (
@@ -159,7 +493,9 @@ const Dashboard = () => {
             </div>
             
             <div className="header-right">
+              <Avatar user={user} size={28} />
               <span className="user-name">Welcome, {user?.name}</span>
+              {isAdmin && <span className="role-badge">Admin</span>}
               <button className="btn btn-secondary btn-sm" onClick={loadTasks}>
                 <FiRefreshCw /> Refresh
               </button>
@@ -169,6 +505,12 @@ const Dashboard = () => {
               >
                 <FiPlus /> New Task
               </button>
+              <Link to="/trash" className="btn btn-secondary btn-sm">
+                <FiTrash2 /> Trash
+              </Link>
+              <Link to="/settings" className="btn btn-secondary btn-sm">
+                <FiSettings /> Settings
+              </Link>
               <button className="btn btn-secondary btn-sm" onClick={handleLogout}>
                 <FiLogOut /> Logout
               </button>
@@ -179,99 +521,247 @@ const Dashboard = () => {
 
       <main className="dashboard-main">
         <div className="container">
-          <div className="task-board">
-            {['To Do', 'In Progress', 'Completed'].map(status => (
-              <div 
-                key={status} 
-                className={`task-column ${draggedTask && draggedTask.status !== status ? 'drag-over-target' : ''}`}
-                data-status={status}
-                onDragOver={handleDragOver}
-                onDrop={(e) => handleDrop(e, status)}
-              >
-                <div className="column-header">
-                  <h3>{status}</h3>
-                  <span className="task-count">{getTasksByStatus(status).length}</span>
+          <div className="dashboard-layout">
+            <ViewsSidebar
+              views={views}
+              activeViewId={activeViewId}
+              onSelect={handleSelectView}
+              onSave={handleSaveView}
+              onToggleShare={handleToggleShareView}
+              onDelete={handleDeleteView}
+            />
+
+            <div className="board-area">
+              <div className="board-toolbar">
+                <div className="scope-switch" role="tablist">
+                  {SCOPES.map(({ value, label }) => (
+                    <button
+                      key={value}
+                      type="button"
+                      role="tab"
+                      aria-selected={scope === value}
+                      className={`scope-tab ${scope === value ? 'active' : ''}`}
+                      onClick={() => setScope(value)}
+                    >
+                      {label}
+                    </button>
+                  ))}
                 </div>
-                
-                <div className="task-list">
-                  {getTasksByStatus(status).map(task => (
-                    <div
-                      key={task._id}
-                      className={`task-card ${draggedTask?._id === task._id ? 'dragging' : ''}`}
-                      draggable
-                      onDragStart={(e) => handleDragStart(e, task)}
-                      onDragEnd={handleDragEnd}
+
+                <TaskSearchBar
+                  value={searchInput}
+                  onChange={setSearchInput}
+                  error={searchError}
+                />
+
+                <select
+                  className="sort-select"
+                  value={`${sort.sortBy}:${sort.order}`}
+                  onChange={(e) => {
+                    const [sortBy, order] = e.target.value.split(':');
+                    setChosenSort({ sortBy, order });
+                  }}
+                  aria-label="Sort tasks"
+                >
+                  {/* Relevance only means something while searching */}
+                  {(search || sort.sortBy === 'relevance') && (
+                    <option value="relevance:desc">Relevance</option>
+                  )}
+                  {/* A view may use a sort that isn't in the list */}
+                  {sort.sortBy !== 'relevance' && !SORTS.some(option => option.value === `${sort.sortBy}:${sort.order}`) && (
+                    <option value={`${sort.sortBy}:${sort.order}`}>{sort.sortBy} ({sort.order})</option>
+                  )}
+                  {SORTS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+
+                <div className="column-toggles">
+                  {STATUSES.map(status => (
+                    <button
+                      key={status}
+                      type="button"
+                      className={`column-toggle ${visibleColumns.includes(status) ? 'active' : ''}`}
+                      onClick={() => toggleColumn(status)}
+                      aria-pressed={visibleColumns.includes(status)}
                     >
-                      <div className="task-header">
-                        <h4>{task.title}</h4>
-                        <div className="task-actions">
-                          <button
-                            className="icon-btn edit-btn"
-                            onClick={() => handleEditTask(task)}
-                            title="Edit task"
-                          >
-                            <FiEdit2 />
-                          </button>
-                          <button
-                            className="icon-btn delete-btn"
-                            onClick={() => handleDeleteTask(task._id)}
-                            title="Delete task"
-                          >
-                            <FiTrash2 />
-                          </button>
-                        </div>
-                      </div>
+                      {status}
+                    </button>
+                  ))}
+                </div>
+              </div>
 
-                      <span className={`badge badge-${task.priority.toLowerCase()}`}>
-                        {task.priority}
-                      </span>
-                      
-                      {task.description && (
-                        <p className="task-description">{task.description}</p>
-                      )}
-                      
-                      <div className="task-footer">
-                        <span className="task-date">
-                          Due: {new Date(task.dueDate).toLocaleDateString()}
-                        </span>
-                        {task.tags && task.tags.length > 0 && (
-                          <div className="task-tags">
-                            {task.tags.slice(0, 2).map((tag, idx) => (
-                              <span key={idx} className="tag">{tag}</span>
-                            ))}
-                            {task.tags.length > 2 && (
-                              <span className="tag">+{task.tags.length - 2}</span>
+              <div
+                className="task-board"
+                style={{ gridTemplateColumns: `repeat(${visibleColumns.length}, 1fr)` }}
+              >
+                {visibleColumns.map(status => (
+                  <div 
+                    key={status} 
+                    className={`task-column ${draggedTask && draggedTask.status !== status ? 'drag-over-target' : ''}`}
+                    data-status={status}
+                    onDragOver={handleDragOver}
+                    onDrop={(e) => handleDrop(e, status)}
+                  >
+                    <div className="column-header">
+                      <input
+                        type="checkbox"
+                        className="task-select"
+                        checked={getTasksByStatus(status).length > 0 &&
+                          getTasksByStatus(status).every(task => selectedIds.includes(task._id))}
+                        onChange={() => toggleColumnSelected(status)}
+                        disabled={getTasksByStatus(status).length === 0}
+                        aria-label={`Select all ${status} tasks`}
+                      />
+                      <h3>{status}</h3>
+                      <span className="task-count">{columns[status].total}</span>
+                    </div>
+                    
+                    <div className="task-list">
+                      {getTasksByStatus(status).map(task => (
+                        <div
+                          key={task._id}
+                          className={`task-card ${draggedTask?._id === task._id ? 'dragging' : ''} ${selectedIds.includes(task._id) ? 'selected' : ''}`}
+                          draggable={hasTaskRight(task, 'edit')}
+                          onDragStart={(e) => handleDragStart(e, task)}
+                          onDragEnd={handleDragEnd}
+                        >
+                          <div className="task-header">
+                            <input
+                              type="checkbox"
+                              className="task-select"
+                              checked={selectedIds.includes(task._id)}
+                              onChange={() => toggleSelected(task._id)}
+                              aria-label={`Select ${task.title}`}
+                            />
+                            <h4>{task.highlights ? renderHighlighted(task.highlights.title) : task.title}</h4>
+                            <div className="task-actions">
+                              {hasTaskRight(task, 'edit') && (
+                                <button
+                                  className="icon-btn edit-btn"
+                                  onClick={() => handleEditTask(task)}
+                                  title="Edit task"
+                                >
+                                  <FiEdit2 />
+                                </button>
+                              )}
+                              {hasTaskRight(task, 'delete') && (
+                                <button
+                                  className="icon-btn delete-btn"
+                                  onClick={() => handleDeleteTask(task._id)}
+                                  title="Delete task"
+                                >
+                                  <FiTrash2 />
+                                </button>
+                              )}
+                            </div>
+                          </div>
+
+                          <div className="task-badges">
+                            <span className={`badge badge-${task.priority.toLowerCase()}`}>
+                              {task.priority}
+                            </span>
+                            {task.recurrence?.freq && (
+                              <span className="badge badge-recurring" title="Recurring task">
+                                <FiRepeat /> Repeats
+                              </span>
+                            )}
+                            {task.blocked && (
+                              <span className="badge badge-blocked" title="Waiting on other tasks">
+                                <FiLock /> Blocked
+                              </span>
+                            )}
+                          </div>
+                          
+                          {task.highlights?.snippet ? (
+                            <p className="task-description task-snippet">
+                              {renderHighlighted(task.highlights.snippet)}
+                            </p>
+                          ) : task.description && (
+                            <p className="task-description">{task.description}</p>
+                          )}
+                          
+                          {task.progress?.total > 0 && (
+                            <div className="task-progress" title={`${task.progress.percent}% complete`}>
+                              <div className="task-progress-track">
+                                <div className="task-progress-bar" style={{ width: `${task.progress.percent}%` }} />
+                              </div>
+                              <small>{task.progress.completed}/{task.progress.total}</small>
+                            </div>
+                          )}
+
+                          <div className="task-footer">
+                            <span className="task-date">
+                              Due: {new Date(task.dueDate).toLocaleDateString()}
+                            </span>
+                            {task.tags && task.tags.length > 0 && (
+                              <div className="task-tags">
+                                {task.tags.slice(0, 2).map((tag, idx) => (
+                                  <span key={idx} className="tag">{tag}</span>
+                                ))}
+                                {task.tags.length > 2 && (
+                                  <span className="tag">+{task.tags.length - 2}</span>
+                                )}
+                              </div>
                             )}
                           </div>
-                        )}
-                      </div>
 
-                      {task.assignedTo && (
-                        <div className="task-assigned">
-                          <small>Assigned to: {task.assignedTo.name || task.assignedTo.email}</small>
+                          {task.assignedTo && (
+                            <div className="task-assigned">
+                              <Avatar user={task.assignedTo} size={20} />
+                              <small>
+                                Assigned to: {task.assignedTo.name || task.assignedTo.email}
+                                {task.coAssignees?.length > 0 && ` +${task.coAssignees.length}`}
+                              </small>
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                      
+                      {getTasksByStatus(status).length === 0 && (
+                        <div className="empty-state">
+                          <p>{search ? 'No matching tasks' : 'No tasks'}</p>
                         </div>
                       )}
+
+                      {columns[status].nextCursor && (
+                        <button
+                          type="button"
+                          className="btn btn-secondary btn-sm load-more"
+                          onClick={() => loadMoreTasks(status)}
+                          disabled={columns[status].loadingMore}
+                        >
+                          {columns[status].loadingMore
+                            ? 'Loading...'
+                            : `Load more (${columns[status].total - getTasksByStatus(status).length} left)`}
+                        </button>
+                      )}
                     </div>
-                  ))}
-                  
-                  {getTasksByStatus(status).length === 0 && (
-                    <div className="empty-state">
-                      <p>No tasks</p>
-                    </div>
-                  )}
-                </div>
+                  </div>
+                ))}
               </div>
-            ))}
+            </div>
           </div>
         </div>
       </main>
 
+      {selectedIds.length > 0 && (
+        <BulkActionBar
+          count={selectedIds.length}
+          busy={bulkBusy}
+          onApply={handleBulkAction}
+          onClear={() => setSelectedIds([])}
+        />
+      )}
+
       <TaskModal
         isOpen={isModalOpen}
         onClose={handleCloseModal}
         onTaskCreated={handleTaskCreated}
         onTaskUpdated={handleTaskUpdated}
         editingTask={editingTask}
+        tasks={tasks}
+        canReassign={!editingTask || hasTaskRight(editingTask, 'reassign')}
       />
     </div>
   );
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiMail, FiSend } from 'react-icons/fi';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await authAPI.forgotPassword(email.trim());
+      setSubmitted(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card fade-in">
+        <div className="auth-header">
+          <h1>Forgot Password</h1>
+          <p>We'll email you a link to reset it</p>
+        </div>
+
+        {submitted ? (
+          <div className="verification-message">
+            <FiMail />
+            <h3>Check your inbox</h3>
+            <p>If an account exists for {email}, a password reset link is on its way. The link expires in 1 hour.</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="input-group">
+              <label htmlFor="email">
+                <FiMail /> Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="your.email@example.com"
+                required
+              />
+            </div>
+
+            <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+              {loading ? 'Sending...' : <><FiSend /> Send Reset Link</>}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            Remembered it?{' '}
+            <Link to="/login" className="auth-link">
+              Sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
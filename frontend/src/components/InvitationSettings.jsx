@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { invitationAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiUserPlus, FiSend, FiRefreshCw, FiTrash2 } from 'react-icons/fi';
+
+const InvitationSettings = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [formData, setFormData] = useState({
+    email: '',
+    role: 'member',
+    expiresInDays: '7'
+  });
+  const [loading, setLoading] = useState(false);
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      const response = await invitationAPI.getInvitations();
+      setInvitations(response.data.invitations);
+    } catch (error) {
+      console.error('Failed to load invitations:', error);
+      toast.error('Failed to load invitations');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInvitations();
+  }, [loadInvitations]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await invitationAPI.createInvitation({
+        email: formData.email.trim(),
+        role: formData.role,
+        expiresInDays: parseInt(formData.expiresInDays)
+      });
+      toast.success(response.data.message);
+      setFormData({ email: '', role: 'member', expiresInDays: '7' });
+      loadInvitations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send invitation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async (id) => {
+    try {
+      const response = await invitationAPI.resendInvitation(id);
+      toast.success(response.data.message);
+      loadInvitations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resend invitation');
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm('Revoke this invitation? The link will stop working.')) {
+      return;
+    }
+
+    try {
+      await invitationAPI.revokeInvitation(id);
+      toast.success('Invitation revoked');
+      loadInvitations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke invitation');
+    }
+  };
+
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <h2><FiUserPlus /> Invitations</h2>
+      </div>
+
+      <p className="settings-description">
+        Invite teammates by email. The invite link creates an account for that address only.
+      </p>
+
+      {invitations.length > 0 && (
+        <ul className="settings-list">
+          {invitations.map((invitation) => (
+            <li key={invitation._id} className="settings-list-item">
+              <div>
+                <strong>{invitation.email}</strong>
+                <div className="settings-meta">
+                  {invitation.role === 'admin' ? 'Admin' : 'Member'}
+                  {' · '}
+                  Invited by {invitation.invitedBy?.name || 'unknown'}
+                  {' · '}
+                  Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                </div>
+              </div>
+              <div className="settings-actions">
+                <button
+                  className="icon-btn"
+                  onClick={() => handleResend(invitation._id)}
+                  title="Resend invitation"
+                >
+                  <FiRefreshCw />
+                </button>
+                <button
+                  className="icon-btn delete-btn"
+                  onClick={() => handleRevoke(invitation._id)}
+                  title="Revoke invitation"
+                >
+                  <FiTrash2 />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleInvite}>
+        <div className="input-group">
+          <label htmlFor="invite-email">Email Address</label>
+          <input
+            type="email"
+            id="invite-email"
+            value={formData.email}
+            onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+            placeholder="teammate@example.com"
+            required
+          />
+        </div>
+
+        <div className="form-row">
+          <div className="input-group">
+            <label htmlFor="invite-role">Role</label>
+            <select
+              id="invite-role"
+              value={formData.role}
+              onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+            >
+              <option value="member">Member</option>
+              <option value="admin">Admin</option>
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label htmlFor="invite-expiry">Expires</label>
+            <select
+              id="invite-expiry"
+              value={formData.expiresInDays}
+              onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+            >
+              <option value="1">In 1 day</option>
+              <option value="7">In 7 days</option>
+              <option value="30">In 30 days</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="settings-actions">
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            <FiSend /> Send Invitation
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+};
+
+export default InvitationSettings;
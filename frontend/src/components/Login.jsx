@@ -1,10 +1,10 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams, useLocation } from 'react-router-dom';
 import { useAuth } from "../context/useAuth";
 
-import { authAPI } from '../services/api';
+import { authAPI, MAGIC_LINK_NONCE_KEY } from '../services/api';
 import toast from 'react-hot-toast';
-import { FiMail, FiLock, FiLogIn } from 'react-icons/fi';
+import { FiMail, FiLock, FiLogIn, FiShield, FiKey, FiSend } from 'react-icons/fi';
 // import '../styles/Auth.css';
 
 const Login = () => {
@@ -13,30 +13,195 @@ const Login = () => {
     password: ''
   });
   const [loading, setLoading] = useState(false);
+  const location = useLocation();
+  // A magic link for a 2FA account lands here with a challenge already issued
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [ssoEnabled, setSsoEnabled] = useState(false);
+  const [magicLinkMode, setMagicLinkMode] = useState(false);
+  const [magicLinkSent, setMagicLinkSent] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
   const { login } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    const loadOidcConfig = async () => {
+      try {
+        const response = await authAPI.getOidcConfig();
+        setSsoEnabled(response.data.enabled);
+      } catch (error) {
+        console.error('Failed to load SSO config:', error);
+      }
+    };
+
+    loadOidcConfig();
+  }, []);
+
+  // Errors from the SSO callback come back as a query parameter
+  useEffect(() => {
+    const ssoError = searchParams.get('ssoError');
+    if (ssoError) {
+      toast.error(ssoError);
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const completeLogin = (data) => {
+    login(data.token, data.user, data.refreshToken);
+    toast.success('Welcome back!');
+    navigate('/dashboard');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
       const response = await authAPI.login(formData);
-      login(response.data.token, response.data.user);
-      toast.success('Welcome back!');
-      navigate('/dashboard');
+
+      // Password accepted, second factor still needed
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
+
+      completeLogin(response.data);
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       toast.error(message);
+
+      // Unverified account: offer to resend the verification link
+      if (error.response?.status === 403 && !error.response.data?.ssoRequired) {
+        navigate('/verify-email', { state: { email: formData.email } });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMagicLinkSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.requestMagicLink(formData.email);
+
+      // The link only works in the browser holding this nonce
+      localStorage.setItem(MAGIC_LINK_NONCE_KEY, response.data.nonce);
+      setMagicLinkSent(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send sign-in link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleMagicLinkMode = () => {
+    setMagicLinkMode(!magicLinkMode);
+    setMagicLinkSent(false);
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.loginTwoFactor({
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() })
+      });
+      completeLogin(response.data);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      setCode('');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleCancelChallenge = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card fade-in">
+          <div className="auth-header">
+            <h1>Two-Factor Authentication</h1>
+            <p>
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form onSubmit={handleCodeSubmit} className="auth-form">
+            <div className="input-group">
+              <label htmlFor="code">
+                <FiShield /> {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                type="text"
+                id="code"
+                name="code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+              />
+            </div>
+
+            <div className="auth-links">
+              <button
+                type="button"
+                className="forgot-link link-button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+            </div>
+
+            <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+              {loading ? (
+                <>
+                  <div className="spinner-small"></div>
+                  Verifying...
+                </>
+              ) : (
+                <>
+                  <FiLogIn /> Verify
+                </>
+              )}
+            </button>
+          </form>
+
+          <div className="auth-footer">
+            <p>
+              <button type="button" className="auth-link link-button" onClick={handleCancelChallenge}>
+                Back to sign in
+              </button>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card fade-in">
@@ -45,56 +210,123 @@ const Login = () => {
           <p>Sign in to manage your tasks</p>
         </div>
 
-        <form onSubmit={handleSubmit} className="auth-form">
-          <div className="input-group">
-            <label htmlFor="email">
-              <FiMail /> Email Address
-            </label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              value={formData.email}
-              onChange={handleChange}
-              placeholder="your.email@example.com"
-              required
-            />
-          </div>
+        {magicLinkMode ? (
+          magicLinkSent ? (
+            <div className="verification-message">
+              <FiMail />
+              <h3>Check your email</h3>
+              <p>
+                If an account exists for {formData.email}, we've sent a sign-in link.
+                Open it in this browser to sign in.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleMagicLinkSubmit} className="auth-form">
+              <div className="input-group">
+                <label htmlFor="email">
+                  <FiMail /> Email Address
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  placeholder="your.email@example.com"
+                  required
+                />
+              </div>
 
-          <div className="input-group">
-            <label htmlFor="password">
-              <FiLock /> Password
-            </label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              placeholder="••••••••"
-              required
-            />
-          </div>
+              <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                {loading ? (
+                  <>
+                    <div className="spinner-small"></div>
+                    Sending...
+                  </>
+                ) : (
+                  <>
+                    <FiSend /> Send Sign-In Link
+                  </>
+                )}
+              </button>
+            </form>
+          )
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="input-group">
+              <label htmlFor="email">
+                <FiMail /> Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                placeholder="your.email@example.com"
+                required
+              />
+            </div>
 
-          <div className="auth-links">
-            <Link to="/forgot-password" className="forgot-link">
-              Forgot password?
-            </Link>
-          </div>
+            <div className="input-group">
+              <label htmlFor="password">
+                <FiLock /> Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                placeholder="••••••••"
+                required
+              />
+            </div>
 
-          <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
-            {loading ? (
+            <div className="auth-links">
+              <Link to="/forgot-password" className="forgot-link">
+                Forgot password?
+              </Link>
+            </div>
+
+            <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+              {loading ? (
+                <>
+                  <div className="spinner-small"></div>
+                  Signing in...
+                </>
+              ) : (
+                <>
+                  <FiLogIn /> Sign In
+                </>
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-divider">
+          <span>or</span>
+        </div>
+
+        <div className="auth-alternatives">
+          <button type="button" className="btn btn-secondary btn-block" onClick={toggleMagicLinkMode}>
+            {magicLinkMode ? (
               <>
-                <div className="spinner-small"></div>
-                Signing in...
+                <FiLock /> Sign in with password
               </>
             ) : (
               <>
-                <FiLogIn /> Sign In
+                <FiSend /> Email me a sign-in link
               </>
             )}
           </button>
-        </form>
+
+          {ssoEnabled && (
+            <a href={authAPI.oidcLoginUrl()} className="btn btn-secondary btn-block sso-button">
+              <FiKey /> Sign in with SSO
+            </a>
+          )}
+        </div>
 
         <div className="auth-footer">
           <p>
@@ -109,4 +341,4 @@ const Login = () => {
   );
 };
 
-export default Login;
\ No newline at end of file
+export default Login;
@@ -0,0 +1,79 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/useAuth';
+import { authAPI, MAGIC_LINK_NONCE_KEY } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiAlertCircle } from 'react-icons/fi';
+
+// Exchanges an emailed sign-in link for a session
+const MagicLink = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [error, setError] = useState(token ? '' : 'This sign-in link is incomplete.');
+  const { login } = useAuth();
+  const navigate = useNavigate();
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    // Links are single-use, so only submit once (StrictMode runs effects twice)
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    const signIn = async () => {
+      try {
+        const nonce = localStorage.getItem(MAGIC_LINK_NONCE_KEY);
+        const response = await authAPI.verifyMagicLink(token, nonce);
+        localStorage.removeItem(MAGIC_LINK_NONCE_KEY);
+
+        // Second factor still needed: finish on the login page
+        if (response.data.twoFactorRequired) {
+          navigate('/login', { replace: true, state: { challengeToken: response.data.challengeToken } });
+          return;
+        }
+
+        login(response.data.token, response.data.user, response.data.refreshToken);
+        toast.success('Welcome back!');
+        navigate('/dashboard', { replace: true });
+      } catch (err) {
+        setError(err.response?.data?.message || 'Sign-in link is invalid or has expired');
+      }
+    };
+
+    signIn();
+  }, [token, login, navigate]);
+
+  if (!error) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card fade-in">
+        <div className="auth-header">
+          <h1>Sign-In Link</h1>
+          <p>Passwordless sign-in</p>
+        </div>
+
+        <div className="verification-message">
+          <FiAlertCircle />
+          <h3>Sign-in failed</h3>
+          <p>{error} You can request a new link from the sign-in page.</p>
+        </div>
+
+        <div className="auth-footer">
+          <p>
+            <Link to="/login" className="auth-link">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MagicLink;
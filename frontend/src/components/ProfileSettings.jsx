@@ -0,0 +1,237 @@
+import React, { useState, useRef } from 'react';
+import { useAuth } from '../context/useAuth';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiUser, FiSave, FiUpload, FiTrash2, FiLock } from 'react-icons/fi';
+import Avatar from './Avatar';
+
+const ProfileSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [profile, setProfile] = useState({
+    name: user?.name || '',
+    email: user?.email || ''
+  });
+  const [passwords, setPasswords] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.updateMe({
+        name: profile.name.trim(),
+        email: profile.email.trim()
+      });
+      updateUser(response.data.user);
+      setProfile({ name: response.data.user.name, email: response.data.user.email });
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update profile');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwords.newPassword.length < 6) {
+      toast.error('Password must be at least 6 characters');
+      return;
+    }
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authAPI.updatePassword({
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword
+      });
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      toast.success(
+        response.data.sessionsRevoked > 0
+          ? `Password updated. Signed out ${response.data.sessionsRevoked} other session(s).`
+          : 'Password updated'
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('avatar', file);
+    setLoading(true);
+
+    try {
+      const response = await authAPI.uploadAvatar(formData);
+      updateUser(response.data.user);
+      toast.success('Avatar updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload avatar');
+    } finally {
+      setLoading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleAvatarRemove = async () => {
+    setLoading(true);
+
+    try {
+      const response = await authAPI.deleteAvatar();
+      updateUser(response.data.user);
+      toast.success('Avatar removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove avatar');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <section className="settings-section">
+        <div className="settings-section-header">
+          <h2><FiUser /> Profile</h2>
+        </div>
+
+        <div className="avatar-editor">
+          <Avatar user={user} size={64} />
+          <div className="avatar-editor-actions">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/jpeg,image/png,image/gif,image/webp"
+              onChange={handleAvatarChange}
+              hidden
+            />
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={loading}
+            >
+              <FiUpload /> Upload Photo
+            </button>
+            {user?.avatar && (
+              <button type="button" className="btn btn-secondary btn-sm" onClick={handleAvatarRemove} disabled={loading}>
+                <FiTrash2 /> Remove
+              </button>
+            )}
+          </div>
+        </div>
+
+        <form onSubmit={handleProfileSubmit}>
+          <div className="form-row">
+            <div className="input-group">
+              <label htmlFor="profile-name">Full Name</label>
+              <input
+                type="text"
+                id="profile-name"
+                value={profile.name}
+                onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+                required
+              />
+            </div>
+
+            <div className="input-group">
+              <label htmlFor="profile-email">Email Address</label>
+              <input
+                type="email"
+                id="profile-email"
+                value={profile.email}
+                onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+                required
+              />
+            </div>
+          </div>
+
+          {user?.pendingEmail && (
+            <p className="settings-description">
+              Waiting for confirmation of <strong>{user.pendingEmail}</strong>. Check that inbox for a verification link.
+            </p>
+          )}
+
+          <div className="settings-actions">
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              <FiSave /> Save Profile
+            </button>
+          </div>
+        </form>
+      </section>
+
+      <section className="settings-section">
+        <div className="settings-section-header">
+          <h2><FiLock /> Password</h2>
+        </div>
+
+        <p className="settings-description">
+          Changing your password signs you out on all other devices.
+        </p>
+
+        <form onSubmit={handlePasswordSubmit}>
+          <div className="input-group">
+            <label htmlFor="current-password">Current Password</label>
+            <input
+              type="password"
+              id="current-password"
+              value={passwords.currentPassword}
+              onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+              required
+            />
+          </div>
+
+          <div className="form-row">
+            <div className="input-group">
+              <label htmlFor="new-password">New Password</label>
+              <input
+                type="password"
+                id="new-password"
+                value={passwords.newPassword}
+                onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+                minLength={6}
+                required
+              />
+            </div>
+
+            <div className="input-group">
+              <label htmlFor="confirm-new-password">Confirm New Password</label>
+              <input
+                type="password"
+                id="confirm-new-password"
+                value={passwords.confirmPassword}
+                onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="settings-actions">
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              <FiLock /> Change Password
+            </button>
+          </div>
+        </form>
+      </section>
+    </>
+  );
+};
+
+export default ProfileSettings;
@@ -0,0 +1,202 @@
+import React from 'react';
+import { FiRepeat } from 'react-icons/fi';
+
+const WEEKDAYS = [
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+  { value: 'SU', label: 'Sun' }
+];
+
+const POSITIONS = [
+  { value: 1, label: 'first' },
+  { value: 2, label: 'second' },
+  { value: 3, label: 'third' },
+  { value: 4, label: 'fourth' },
+  { value: -1, label: 'last' }
+];
+
+const UNITS = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)' };
+
+// Weekday code and day of month of a YYYY-MM-DD due date
+const getDueDateParts = (dueDate) => {
+  const date = dueDate ? new Date(`${dueDate}T00:00:00Z`) : new Date();
+  return {
+    weekday: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][date.getUTCDay()],
+    monthDay: date.getUTCDate()
+  };
+};
+
+// Edits an RRULE-style recurrence ({ freq, interval, byDay, ... }); null means no repeat
+const RecurrenceEditor = ({ value, onChange, dueDate }) => {
+  const { weekday, monthDay } = getDueDateParts(dueDate);
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const handleFrequencyChange = (e) => {
+    const freq = e.target.value;
+
+    if (!freq) {
+      onChange(null);
+      return;
+    }
+
+    onChange({
+      freq,
+      interval: value?.interval || 1,
+      byDay: freq === 'WEEKLY' ? [weekday] : [],
+      byMonthDay: freq === 'MONTHLY' ? monthDay : undefined,
+      bySetPos: undefined,
+      until: value?.until,
+      count: value?.count
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    const byDay = value.byDay.includes(day)
+      ? value.byDay.filter(d => d !== day)
+      : [...value.byDay, day];
+
+    // At least one weekday must stay selected
+    if (byDay.length > 0) {
+      update({ byDay });
+    }
+  };
+
+  const monthlyMode = value?.bySetPos ? 'weekday' : 'day';
+  const endMode = value?.until ? 'until' : value?.count ? 'count' : 'never';
+
+  const handleMonthlyModeChange = (e) => {
+    update(e.target.value === 'weekday'
+      ? { bySetPos: 1, byDay: [weekday], byMonthDay: undefined }
+      : { bySetPos: undefined, byDay: [], byMonthDay: monthDay });
+  };
+
+  const handleEndModeChange = (e) => {
+    const mode = e.target.value;
+    update({
+      until: mode === 'until' ? dueDate || new Date().toISOString().split('T')[0] : undefined,
+      count: mode === 'count' ? 5 : undefined
+    });
+  };
+
+  return (
+    <div className="input-group">
+      <label htmlFor="recurrenceFreq">
+        <FiRepeat /> Repeat
+      </label>
+      <select id="recurrenceFreq" value={value?.freq || ''} onChange={handleFrequencyChange}>
+        <option value="">Does not repeat</option>
+        <option value="DAILY">Daily</option>
+        <option value="WEEKLY">Weekly</option>
+        <option value="MONTHLY">Monthly</option>
+      </select>
+
+      {value && (
+        <div className="recurrence-options">
+          <div className="recurrence-row">
+            <span>Every</span>
+            <input
+              type="number"
+              min="1"
+              value={value.interval}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value) || 1) })}
+              aria-label="Repeat interval"
+            />
+            <span>{UNITS[value.freq]}</span>
+          </div>
+
+          {value.freq === 'WEEKLY' && (
+            <div className="weekday-picker">
+              {WEEKDAYS.map(day => (
+                <button
+                  key={day.value}
+                  type="button"
+                  className={`weekday-toggle ${value.byDay.includes(day.value) ? 'active' : ''}`}
+                  onClick={() => toggleWeekday(day.value)}
+                >
+                  {day.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {value.freq === 'MONTHLY' && (
+            <div className="recurrence-row">
+              <select value={monthlyMode} onChange={handleMonthlyModeChange} aria-label="Monthly repeat">
+                <option value="day">On day</option>
+                <option value="weekday">On the</option>
+              </select>
+              {monthlyMode === 'day' ? (
+                <input
+                  type="number"
+                  min="1"
+                  max="31"
+                  value={value.byMonthDay || monthDay}
+                  onChange={(e) => update({ byMonthDay: Math.min(31, Math.max(1, parseInt(e.target.value) || 1)) })}
+                  aria-label="Day of month"
+                />
+              ) : (
+                <>
+                  <select
+                    value={value.bySetPos}
+                    onChange={(e) => update({ bySetPos: Number(e.target.value) })}
+                    aria-label="Week of month"
+                  >
+                    {POSITIONS.map(position => (
+                      <option key={position.value} value={position.value}>{position.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={value.byDay[0]}
+                    onChange={(e) => update({ byDay: [e.target.value] })}
+                    aria-label="Weekday"
+                  >
+                    {WEEKDAYS.map(day => (
+                      <option key={day.value} value={day.value}>{day.label}</option>
+                    ))}
+                  </select>
+                </>
+              )}
+            </div>
+          )}
+
+          <div className="recurrence-row">
+            <span>Ends</span>
+            <select value={endMode} onChange={handleEndModeChange} aria-label="Recurrence end">
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After</option>
+            </select>
+            {endMode === 'until' && (
+              <input
+                type="date"
+                value={value.until}
+                min={dueDate}
+                onChange={(e) => update({ until: e.target.value })}
+                aria-label="End date"
+              />
+            )}
+            {endMode === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  value={value.count}
+                  onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value) || 1) })}
+                  aria-label="Number of occurrences"
+                />
+                <span>occurrences</span>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -1,9 +1,9 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { authAPI } from '../services/api';
 import { useAuth } from '../context/useAuth';
 import toast from 'react-hot-toast';
-import { FiMail, FiLock, FiUser, FiUserPlus } from 'react-icons/fi';
+import { FiMail, FiLock, FiUser, FiUserPlus, FiAlertCircle } from 'react-icons/fi';
 // import '../styles/Auth.css';
 
 const Register = () => {
@@ -15,9 +15,38 @@ const Register = () => {
   });
 
   const [loading, setLoading] = useState(false);
+  const [invitation, setInvitation] = useState(null);
+  const [inviteError, setInviteError] = useState('');
+  const [openRegistration, setOpenRegistration] = useState(true);
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
   const { login } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    const loadRegistration = async () => {
+      if (inviteToken) {
+        try {
+          const response = await authAPI.getInvitation(inviteToken);
+          setInvitation(response.data.invitation);
+          setFormData((prev) => ({ ...prev, email: response.data.invitation.email }));
+        } catch (error) {
+          setInviteError(error.response?.data?.message || 'Invitation is invalid or has expired');
+        }
+        return;
+      }
+
+      try {
+        const response = await authAPI.getRegistrationConfig();
+        setOpenRegistration(response.data.openRegistration);
+      } catch (error) {
+        console.error('Failed to load registration settings:', error);
+      }
+    };
+
+    loadRegistration();
+  }, [inviteToken]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
@@ -46,11 +75,19 @@ const Register = () => {
         name: formData.name.trim(),
         email: formData.email.trim(),
         password,
+        ...(invitation && { inviteToken }),
       };
 
       const response = await authAPI.register(registerData);
 
-      login(response.data.token, response.data.user);
+      // No token means the account must be verified before signing in
+      if (!response.data.token) {
+        toast.success(response.data.message);
+        navigate('/verify-email', { state: { email: registerData.email } });
+        return;
+      }
+
+      login(response.data.token, response.data.user, response.data.refreshToken);
       toast.success('Account created successfully!');
       navigate('/dashboard');
     } catch (error) {
@@ -65,9 +102,23 @@ const Register = () => {
       <div className="auth-card fade-in">
         <div className="auth-header">
           <h1>Create Account</h1>
-          <p>Start managing your tasks today</p>
+          <p>
+            {invitation
+              ? `${invitation.invitedBy || 'An admin'} invited you to join as ${invitation.role === 'admin' ? 'an admin' : 'a member'}`
+              : 'Start managing your tasks today'}
+          </p>
         </div>
 
+        {(inviteError || (!invitation && !openRegistration)) && (
+          <div className="verification-message">
+            <FiAlertCircle />
+            <h3>{inviteError ? 'Invitation unavailable' : 'Invitation required'}</h3>
+            <p>
+              {inviteError || 'New accounts need an invitation. Ask an admin to invite you.'}
+            </p>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="auth-form">
           <div className="input-group">
             <label htmlFor="name">
@@ -93,6 +144,7 @@ const Register = () => {
               type="email"
               value={formData.email}
               onChange={handleChange}
+              readOnly={Boolean(invitation)}
               required
             />
           </div>
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/useAuth';
+import { securityAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiActivity } from 'react-icons/fi';
+
+// Turn an event type like "password_changed" into "Password changed"
+const formatEventType = (type) => {
+  const label = type.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+const SecurityActivity = () => {
+  const { user, isAdmin, updateUser } = useAuth();
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    const loadEvents = async () => {
+      try {
+        const response = await securityAPI.getMyEvents({ limit: 20 });
+        setEvents(response.data.events);
+      } catch (error) {
+        console.error('Failed to load security events:', error);
+      }
+    };
+
+    loadEvents();
+  }, []);
+
+  const handleAlertToggle = async (e) => {
+    try {
+      const response = await securityAPI.updateAlertSettings(e.target.checked);
+      updateUser(response.data.user);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update alert settings');
+    }
+  };
+
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <h2><FiActivity /> Security Activity</h2>
+      </div>
+
+      <p className="settings-description">
+        Recent sign-ins and account changes. If something looks unfamiliar, change your
+        password and sign out of other sessions.
+      </p>
+
+      {isAdmin && (
+        <label className="alert-option">
+          <input
+            type="checkbox"
+            checked={Boolean(user?.newDeviceAlerts)}
+            onChange={handleAlertToggle}
+          />
+          Email me when anyone in the workspace signs in from a new device
+        </label>
+      )}
+
+      {events.length === 0 ? (
+        <p className="settings-meta">No recent activity.</p>
+      ) : (
+        <ul className="settings-list">
+          {events.map((event) => (
+            <li key={event._id} className="settings-list-item">
+              <div>
+                <strong>{formatEventType(event.type)}</strong>{' '}
+                <span className={`status-pill ${event.outcome === 'success' ? 'enabled' : 'danger'}`}>
+                  {event.outcome}
+                </span>
+                <div className="settings-meta">
+                  {new Date(event.createdAt).toLocaleString()}
+                  {event.ip && ` · ${event.ip}`}
+                  {event.userAgent && ` · ${event.userAgent}`}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default SecurityActivity;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/useAuth';
+import { FiArrowLeft } from 'react-icons/fi';
+import ProfileSettings from './ProfileSettings';
+import TwoFactorSettings from './TwoFactorSettings';
+import ApiTokenSettings from './ApiTokenSettings';
+import AccountSettings from './AccountSettings';
+import InvitationSettings from './InvitationSettings';
+import SecurityActivity from './SecurityActivity';
+import '../styles/Settings.css';
+
+const Settings = () => {
+  const { user, isAdmin } = useAuth();
+
+  return (
+    <div className="dashboard">
+      <header className="dashboard-header">
+        <div className="container">
+          <div className="header-content">
+            <div className="header-left">
+              <h1>Settings</h1>
+            </div>
+
+            <div className="header-right">
+              <span className="user-name">{user?.email}</span>
+              <Link to="/dashboard" className="btn btn-secondary btn-sm">
+                <FiArrowLeft /> Back to Board
+              </Link>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="dashboard-main">
+        <div className="container settings-container">
+          <ProfileSettings />
+          <TwoFactorSettings />
+          <SecurityActivity />
+          <ApiTokenSettings />
+          {isAdmin && <InvitationSettings />}
+          <AccountSettings />
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Settings;
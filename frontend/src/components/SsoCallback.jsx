@@ -0,0 +1,42 @@
+import React, { useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/useAuth';
+import toast from 'react-hot-toast';
+
+// Receives tokens from the backend SSO callback via the URL fragment
+const SsoCallback = () => {
+  const { login } = useAuth();
+  const navigate = useNavigate();
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('token');
+    const refreshToken = params.get('refreshToken');
+
+    // Drop the tokens from the address bar and history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (!token || !refreshToken) {
+      toast.error('SSO login failed. Please try again.');
+      navigate('/login', { replace: true });
+      return;
+    }
+
+    // The user profile is loaded by AuthProvider once the token is set
+    login(token, null, refreshToken);
+    toast.success('Welcome back!');
+    navigate('/dashboard', { replace: true });
+  }, [login, navigate]);
+
+  return (
+    <div className="loading">
+      <div className="spinner"></div>
+    </div>
+  );
+};
+
+export default SsoCallback;
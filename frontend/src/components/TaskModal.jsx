@@ -1,26 +1,73 @@
 import React, { useState, useEffect } from 'react';
-import { FiX, FiCalendar, FiTag, FiAlignLeft } from 'react-icons/fi';
+import {
+  FiX,
+  FiCalendar,
+  FiTag,
+  FiAlignLeft,
+  FiEye,
+  FiEyeOff,
+  FiUsers,
+  FiCheckSquare,
+  FiGitBranch,
+  FiLock,
+  FiPlus
+} from 'react-icons/fi';
 import { taskAPI, userAPI } from '../services/api';
+import { useAuth } from '../context/useAuth';
 import toast from 'react-hot-toast';
+import Avatar from './Avatar';
+import RecurrenceEditor from './RecurrenceEditor';
 import '../styles/TaskModal.css';
 
-const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask }) => {
+// Saved recurrence in the editor's shape (date-only end date)
+const toEditableRecurrence = (recurrence) => (recurrence?.freq
+  ? {
+    ...recurrence,
+    byDay: recurrence.byDay || [],
+    until: recurrence.until ? recurrence.until.split('T')[0] : undefined
+  }
+  : null);
+
+// Checklist items in their saved order
+const sortChecklist = (items = []) => [...items].sort((a, b) => a.order - b.order);
+
+const TaskModal = ({
+  isOpen,
+  onClose,
+  onTaskCreated,
+  onTaskUpdated,
+  editingTask,
+  canReassign = true,
+  tasks = []
+}) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     assignedTo: '',
+    coAssignees: [],
     dueDate: '',
     priority: 'Medium',
     status: 'To Do',
-    tags: ''
+    tags: '',
+    requireChildrenComplete: false,
+    recurrence: null
   });
+  const { user: currentUser } = useAuth();
   const [users, setUsers] = useState([]);
+  const [watchers, setWatchers] = useState([]);
+  const [checklist, setChecklist] = useState([]);
+  const [newChecklistItem, setNewChecklistItem] = useState('');
+  const [subtasks, setSubtasks] = useState([]);
+  const [newSubtask, setNewSubtask] = useState('');
+  const [blockers, setBlockers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [loadingUsers, setLoadingUsers] = useState(true);
+  const [notifyAssignee, setNotifyAssignee] = useState(true);
 
   useEffect(() => {
     if (isOpen) {
       loadUsers();
+      setNotifyAssignee(true);
       
       // Populate form if editing
       if (editingTask) {
@@ -28,22 +75,36 @@ const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask
           title: editingTask.title || '',
           description: editingTask.description || '',
           assignedTo: editingTask.assignedTo?._id || editingTask.assignedTo || '',
+          coAssignees: (editingTask.coAssignees || []).map(u => u._id || u),
           dueDate: editingTask.dueDate ? new Date(editingTask.dueDate).toISOString().split('T')[0] : '',
           priority: editingTask.priority || 'Medium',
           status: editingTask.status || 'To Do',
-          tags: editingTask.tags ? editingTask.tags.join(', ') : ''
+          tags: editingTask.tags ? editingTask.tags.join(', ') : '',
+          requireChildrenComplete: Boolean(editingTask.requireChildrenComplete),
+          recurrence: toEditableRecurrence(editingTask.recurrence)
         });
+        setWatchers(editingTask.watchers || []);
+        setChecklist(sortChecklist(editingTask.checklist));
+        loadSubtasks(editingTask._id);
+        loadDependencies(editingTask._id);
       } else {
         // Reset form for new task
         setFormData({
           title: '',
           description: '',
           assignedTo: '',
+          coAssignees: [],
           dueDate: '',
           priority: 'Medium',
           status: 'To Do',
-          tags: ''
+          tags: '',
+          requireChildrenComplete: false,
+          recurrence: null
         });
+        setWatchers([]);
+        setChecklist([]);
+        setSubtasks([]);
+        setBlockers([]);
       }
     }
   }, [isOpen, editingTask]);
@@ -60,13 +121,131 @@ const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask
     }
   };
 
+  const loadSubtasks = async (taskId) => {
+    try {
+      const response = await taskAPI.getSubtasks(taskId);
+      setSubtasks(response.data.subtasks);
+    } catch (error) {
+      console.error('Failed to load subtasks:', error);
+    }
+  };
+
+  const loadDependencies = async (taskId) => {
+    try {
+      const response = await taskAPI.getDependencies(taskId);
+      setBlockers(response.data.blockedBy);
+    } catch (error) {
+      console.error('Failed to load dependencies:', error);
+    }
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
-      [e.target.name]: e.target.value
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
     });
   };
 
+  const handleAddCoAssignee = (e) => {
+    if (e.target.value) {
+      setFormData({ ...formData, coAssignees: [...formData.coAssignees, e.target.value] });
+    }
+  };
+
+  const handleRemoveCoAssignee = (userId) => {
+    setFormData({ ...formData, coAssignees: formData.coAssignees.filter(id => id !== userId) });
+  };
+
+  // Watchers are saved straight away rather than with the rest of the form
+  const updateWatchers = async (request) => {
+    try {
+      const response = await request;
+      setWatchers(response.data.task.watchers);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update watchers');
+    }
+  };
+
+  const handleAddWatcher = (e) => {
+    if (e.target.value) {
+      updateWatchers(taskAPI.addWatcher(editingTask._id, e.target.value));
+    }
+  };
+
+  const handleRemoveWatcher = (userId) => {
+    updateWatchers(taskAPI.removeWatcher(editingTask._id, userId));
+  };
+
+  // Checklist and subtask changes are also saved straight away
+  const updateChecklist = async (request) => {
+    try {
+      const response = await request;
+      setChecklist(sortChecklist(response.data.task.checklist));
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update checklist');
+      return false;
+    }
+  };
+
+  const handleAddChecklistItem = async () => {
+    if (!newChecklistItem.trim()) return;
+
+    const added = await updateChecklist(
+      taskAPI.addChecklistItem(editingTask._id, { text: newChecklistItem.trim() })
+    );
+    if (added) setNewChecklistItem('');
+  };
+
+  const handleAddSubtask = async () => {
+    if (!newSubtask.trim()) return;
+
+    try {
+      await taskAPI.addSubtask(editingTask._id, { title: newSubtask.trim() });
+      setNewSubtask('');
+      loadSubtasks(editingTask._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add subtask');
+    }
+  };
+
+  const handleRemoveSubtask = async (subtaskId) => {
+    try {
+      await taskAPI.removeSubtask(editingTask._id, subtaskId);
+      setSubtasks(subtasks.filter(subtask => subtask._id !== subtaskId));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove subtask');
+    }
+  };
+
+  const handleAddBlocker = async (e) => {
+    if (!e.target.value) return;
+
+    try {
+      await taskAPI.addDependency(editingTask._id, e.target.value);
+      loadDependencies(editingTask._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add dependency');
+    }
+  };
+
+  const handleRemoveBlocker = async (blockerId) => {
+    try {
+      await taskAPI.removeDependency(editingTask._id, blockerId);
+      setBlockers(blockers.filter(blocker => blocker._id !== blockerId));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove dependency');
+    }
+  };
+
+  // Enter in the add fields adds an item instead of submitting the task form
+  const addOnEnter = (add) => (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -79,11 +258,18 @@ const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask
 
       const taskData = {
         ...formData,
+        coAssignees: formData.coAssignees.filter(id => id !== formData.assignedTo),
         tags
       };
 
       if (editingTask) {
         // Update existing task
+        if (isReassigning) {
+          taskData.notifyAssignee = notifyAssignee;
+        } else {
+          delete taskData.assignedTo;
+        }
+
         await taskAPI.updateTask(editingTask._id, taskData);
         toast.success('Task updated successfully!');
         onTaskUpdated();
@@ -106,6 +292,15 @@ const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask
 
   if (!isOpen) return null;
 
+  const selectedAssignee = users.find(user => user._id === formData.assignedTo);
+  const isReassigning = Boolean(editingTask) &&
+    formData.assignedTo !== (editingTask.assignedTo?._id || editingTask.assignedTo);
+  const coAssigneeUsers = users.filter(user =>
+    formData.coAssignees.includes(user._id) && user._id !== formData.assignedTo
+  );
+  const currentUserId = currentUser?._id || currentUser?.id;
+  const isWatching = watchers.some(watcher => watcher._id === currentUserId);
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
@@ -117,6 +312,13 @@ const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask
         </div>
 
         <form onSubmit={handleSubmit} className="modal-form">
+          {editingTask?.createdBy?.name && (
+            <div className="user-chip">
+              <Avatar user={editingTask.createdBy} size={20} />
+              Created by {editingTask.createdBy.name}
+            </div>
+          )}
+
           <div className="input-group">
             <label htmlFor="title">
               <FiAlignLeft /> Task Title *
@@ -157,7 +359,7 @@ const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask
                 value={formData.assignedTo}
                 onChange={handleChange}
                 required
-                disabled={loadingUsers}
+                disabled={loadingUsers || (editingTask && !canReassign)}
               >
                 <option value="">Select user...</option>
                 {users.map(user => (
@@ -166,6 +368,22 @@ const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask
                   </option>
                 ))}
               </select>
+              {selectedAssignee && (
+                <div className="user-chip">
+                  <Avatar user={selectedAssignee} size={20} />
+                  {selectedAssignee.name}
+                </div>
+              )}
+              {isReassigning && (
+                <label className="checkbox-option">
+                  <input
+                    type="checkbox"
+                    checked={notifyAssignee}
+                    onChange={(e) => setNotifyAssignee(e.target.checked)}
+                  />
+                  Email the new assignee
+                </label>
+              )}
             </div>
 
             <div className="input-group">
@@ -220,6 +438,53 @@ const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask
             </div>
           </div>
 
+          <div className="input-group">
+            <label htmlFor="coAssignees">
+              <FiUsers /> Co-assignees
+            </label>
+            {coAssigneeUsers.length > 0 && (
+              <div className="user-list">
+                {coAssigneeUsers.map(user => (
+                  <span key={user._id} className="user-list-item">
+                    <Avatar user={user} size={20} />
+                    {user.name}
+                    {(!editingTask || canReassign) && (
+                      <button
+                        type="button"
+                        className="user-list-remove"
+                        onClick={() => handleRemoveCoAssignee(user._id)}
+                        title={`Remove ${user.name}`}
+                      >
+                        <FiX />
+                      </button>
+                    )}
+                  </span>
+                ))}
+              </div>
+            )}
+            <select
+              id="coAssignees"
+              value=""
+              onChange={handleAddCoAssignee}
+              disabled={loadingUsers || (editingTask && !canReassign)}
+            >
+              <option value="">Add co-assignee...</option>
+              {users
+                .filter(user => user._id !== formData.assignedTo && !formData.coAssignees.includes(user._id))
+                .map(user => (
+                  <option key={user._id} value={user._id}>
+                    {user.name} ({user.email})
+                  </option>
+                ))}
+            </select>
+          </div>
+
+          <RecurrenceEditor
+            value={formData.recurrence}
+            onChange={(recurrence) => setFormData({ ...formData, recurrence })}
+            dueDate={formData.dueDate}
+          />
+
           <div className="input-group">
             <label htmlFor="tags">
               <FiTag /> Tags (comma separated)
@@ -234,6 +499,188 @@ const TaskModal = ({ isOpen, onClose, onTaskCreated, onTaskUpdated, editingTask
             />
           </div>
 
+          {editingTask && (
+            <div className="input-group">
+              <label htmlFor="newChecklistItem">
+                <FiCheckSquare /> Checklist
+              </label>
+              {checklist.length > 0 && (
+                <ul className="item-list">
+                  {checklist.map(item => (
+                    <li key={item._id} className={item.done ? 'done' : ''}>
+                      <input
+                        type="checkbox"
+                        checked={item.done}
+                        onChange={() => updateChecklist(
+                          taskAPI.updateChecklistItem(editingTask._id, item._id, { done: !item.done })
+                        )}
+                      />
+                      <span className="item-list-text">{item.text}</span>
+                      {item.assignee?.name && <small>{item.assignee.name}</small>}
+                      <button
+                        type="button"
+                        className="user-list-remove"
+                        onClick={() => updateChecklist(taskAPI.removeChecklistItem(editingTask._id, item._id))}
+                        title="Remove item"
+                      >
+                        <FiX />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="item-add">
+                <input
+                  type="text"
+                  id="newChecklistItem"
+                  value={newChecklistItem}
+                  onChange={(e) => setNewChecklistItem(e.target.value)}
+                  onKeyDown={addOnEnter(handleAddChecklistItem)}
+                  placeholder="Add a checklist item"
+                />
+                <button type="button" className="btn btn-secondary" onClick={handleAddChecklistItem}>
+                  <FiPlus /> Add
+                </button>
+              </div>
+            </div>
+          )}
+
+          {editingTask && (
+            <div className="input-group">
+              <label htmlFor="newSubtask">
+                <FiGitBranch /> Subtasks
+              </label>
+              {subtasks.length > 0 && (
+                <ul className="item-list">
+                  {subtasks.map(subtask => (
+                    <li key={subtask._id} className={subtask.status === 'Completed' ? 'done' : ''}>
+                      <span className="item-list-text">{subtask.title}</span>
+                      <small>{subtask.status}</small>
+                      <button
+                        type="button"
+                        className="user-list-remove"
+                        onClick={() => handleRemoveSubtask(subtask._id)}
+                        title="Detach subtask"
+                      >
+                        <FiX />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="item-add">
+                <input
+                  type="text"
+                  id="newSubtask"
+                  value={newSubtask}
+                  onChange={(e) => setNewSubtask(e.target.value)}
+                  onKeyDown={addOnEnter(handleAddSubtask)}
+                  placeholder="Add a subtask"
+                />
+                <button type="button" className="btn btn-secondary" onClick={handleAddSubtask}>
+                  <FiPlus /> Add
+                </button>
+              </div>
+              <label className="checkbox-option">
+                <input
+                  type="checkbox"
+                  name="requireChildrenComplete"
+                  checked={formData.requireChildrenComplete}
+                  onChange={handleChange}
+                />
+                Block completing this task while subtasks or checklist items are open
+              </label>
+            </div>
+          )}
+
+          {editingTask && (
+            <div className="input-group">
+              <label htmlFor="blockedBy">
+                <FiLock /> Blocked by
+              </label>
+              {blockers.length > 0 && (
+                <ul className="item-list">
+                  {blockers.map(blocker => (
+                    <li key={blocker._id} className={blocker.status === 'Completed' ? 'done' : ''}>
+                      <span className="item-list-text">{blocker.title}</span>
+                      <small>{blocker.status}</small>
+                      <button
+                        type="button"
+                        className="user-list-remove"
+                        onClick={() => handleRemoveBlocker(blocker._id)}
+                        title="Remove dependency"
+                      >
+                        <FiX />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <select id="blockedBy" value="" onChange={handleAddBlocker}>
+                <option value="">Add a task this one waits on...</option>
+                {tasks
+                  .filter(task => task._id !== editingTask._id && !blockers.some(blocker => blocker._id === task._id))
+                  .map(task => (
+                    <option key={task._id} value={task._id}>
+                      {task.title} ({task.status})
+                    </option>
+                  ))}
+              </select>
+            </div>
+          )}
+
+          {editingTask && (
+            <div className="input-group">
+              <label htmlFor="watchers">
+                <FiEye /> Watchers
+              </label>
+              {watchers.length > 0 && (
+                <div className="user-list">
+                  {watchers.map(watcher => (
+                    <span key={watcher._id} className="user-list-item">
+                      <Avatar user={watcher} size={20} />
+                      {watcher.name}
+                      <button
+                        type="button"
+                        className="user-list-remove"
+                        onClick={() => handleRemoveWatcher(watcher._id)}
+                        title={`Remove ${watcher.name}`}
+                      >
+                        <FiX />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+              <div className="watcher-controls">
+                <select
+                  id="watchers"
+                  value=""
+                  onChange={handleAddWatcher}
+                  disabled={loadingUsers}
+                >
+                  <option value="">Add watcher...</option>
+                  {users
+                    .filter(user => !watchers.some(watcher => watcher._id === user._id))
+                    .map(user => (
+                      <option key={user._id} value={user._id}>
+                        {user.name} ({user.email})
+                      </option>
+                    ))}
+                </select>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => (isWatching
+                    ? handleRemoveWatcher(currentUserId)
+                    : updateWatchers(taskAPI.addWatcher(editingTask._id)))}
+                >
+                  {isWatching ? <><FiEyeOff /> Unwatch</> : <><FiEye /> Watch</>}
+                </button>
+              </div>
+            </div>
+          )}
+
           <div className="modal-actions">
             <button
               type="button"
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { FiSearch, FiX } from 'react-icons/fi';
+
+const SEARCH_HINTS = [
+  { syntax: 'status:"In Progress"', description: 'To Do, In Progress or Completed' },
+  { syntax: 'priority:high', description: 'high, medium or low' },
+  { syntax: 'tag:backend', description: 'Tasks with a tag' },
+  { syntax: 'due:<2026-11-01', description: 'Due before, after (>) or on (=) a date' },
+  { syntax: 'assignee:me', description: 'me, an email or a name' },
+  { syntax: 'creator:me', description: 'Who created the task' },
+  { syntax: '"login bug"', description: 'An exact phrase' },
+  { syntax: '-flaky', description: 'Leave out a word' }
+];
+
+// Search input with the query syntax shown while it has focus
+const TaskSearchBar = ({ value, onChange, error }) => {
+  const [showHints, setShowHints] = useState(false);
+
+  const addHint = (syntax) => {
+    onChange(value.trim() ? `${value.trim()} ${syntax}` : syntax);
+  };
+
+  return (
+    <div className="task-search">
+      <div className={`task-search-input ${error ? 'has-error' : ''}`}>
+        <FiSearch />
+        <input
+          type="search"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onFocus={() => setShowHints(true)}
+          onBlur={() => setShowHints(false)}
+          placeholder='Search tasks, e.g. priority:high tag:backend "login bug"'
+          aria-label="Search tasks"
+        />
+        {value && (
+          <button
+            type="button"
+            className="icon-btn"
+            onClick={() => onChange('')}
+            title="Clear search"
+          >
+            <FiX />
+          </button>
+        )}
+      </div>
+
+      {error && <small className="task-search-error">{error}</small>}
+
+      {showHints && (
+        <ul className="search-hints">
+          {SEARCH_HINTS.map(hint => (
+            <li key={hint.syntax}>
+              {/* Keep focus in the input so the hints stay open */}
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addHint(hint.syntax)}
+              >
+                <code>{hint.syntax}</code>
+                <span>{hint.description}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TaskSearchBar;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { FiArrowLeft, FiRotateCcw, FiTrash2 } from 'react-icons/fi';
+import { taskAPI } from '../services/api';
+import { useWebSocket } from '../hooks/useWebSocket';
+import '../styles/Settings.css';
+
+// Deleted tasks, kept until the retention period ends, with restore
+const Trash = () => {
+  const [tasks, setTasks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const loadTrash = useCallback(async (cursor) => {
+    try {
+      const response = await taskAPI.getTrash({ cursor });
+      const data = response.data;
+
+      setTasks(prev => (cursor ? [...prev, ...data.tasks] : data.tasks));
+      setTotal(data.total);
+      setNextCursor(data.nextCursor);
+      setRetentionDays(data.retentionDays);
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+      toast.error('Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  // Tasks deleted, restored or purged elsewhere change the list
+  const handleWebSocketMessage = useCallback((data) => {
+    if (['TASK_DELETED', 'TASK_PURGED', 'TASKS_CHANGED'].includes(data.type) ||
+      (data.type === 'TASK_CREATED' && data.reason === 'restored')) {
+      loadTrash();
+    }
+  }, [loadTrash]);
+
+  useWebSocket(handleWebSocketMessage);
+
+  const handleRestore = async (task) => {
+    setRestoringId(task._id);
+
+    try {
+      await taskAPI.restoreTask(task._id);
+      toast.success(`"${task.title}" restored`);
+      setTasks(prev => prev.filter(t => t._id !== task._id));
+      setTotal(prev => prev - 1);
+    } catch (error) {
+      console.error('Failed to restore task:', error);
+      toast.error(error.response?.data?.message || 'Failed to restore task');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="dashboard">
+      <header className="dashboard-header">
+        <div className="container">
+          <div className="header-content">
+            <div className="header-left">
+              <h1>Trash</h1>
+            </div>
+
+            <div className="header-right">
+              <Link to="/dashboard" className="btn btn-secondary btn-sm">
+                <FiArrowLeft /> Back to Board
+              </Link>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="dashboard-main">
+        <div className="container settings-container">
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h2><FiTrash2 /> Deleted tasks</h2>
+              <span className="task-count">{total}</span>
+            </div>
+            <p className="settings-description">
+              Deleted tasks can be restored for {retentionDays || '...'} days. After that they are
+              deleted permanently, along with their attachments.
+            </p>
+
+            {loading ? (
+              <div className="spinner"></div>
+            ) : tasks.length === 0 ? (
+              <p className="settings-meta">The trash is empty.</p>
+            ) : (
+              <ul className="settings-list">
+                {tasks.map(task => (
+                  <li key={task._id} className="settings-list-item">
+                    <div>
+                      <strong>{task.title}</strong>
+                      <div className="settings-meta">
+                        Deleted {new Date(task.deletionDate).toLocaleString()}
+                        {task.deletedBy && ` by ${task.deletedBy.name}`}
+                        {' · '}
+                        Deleted permanently on {new Date(task.purgeAt).toLocaleDateString()}
+                      </div>
+                    </div>
+                    {task.canRestore && (
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => handleRestore(task)}
+                        disabled={restoringId === task._id}
+                      >
+                        <FiRotateCcw /> Restore
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {nextCursor && (
+              <div className="settings-actions">
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => loadTrash(nextCursor)}>
+                  Load more
+                </button>
+              </div>
+            )}
+          </section>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Trash;
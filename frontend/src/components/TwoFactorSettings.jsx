@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/useAuth';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiShield, FiShieldOff, FiCheck } from 'react-icons/fi';
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleStartSetup = async () => {
+    setLoading(true);
+
+    try {
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+      setCode('');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start setup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.confirmTwoFactor(code.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      updateUser({ ...user, twoFactorEnabled: true });
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Invalid authentication code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await authAPI.disableTwoFactor({ password, code: code.trim() });
+      setPassword('');
+      setCode('');
+      setRecoveryCodes(null);
+      updateUser({ ...user, twoFactorEnabled: false });
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <h2><FiShield /> Two-Factor Authentication</h2>
+        <span className={`status-pill ${user?.twoFactorEnabled ? 'enabled' : ''}`}>
+          {user?.twoFactorEnabled ? 'Enabled' : 'Disabled'}
+        </span>
+      </div>
+
+      <p className="settings-description">
+        Require a code from an authenticator app in addition to your password when signing in.
+      </p>
+
+      {recoveryCodes && (
+        <div className="recovery-codes">
+          <p>
+            <strong>Save these recovery codes.</strong> Each one can be used once to sign in if you
+            lose access to your authenticator app. They won't be shown again.
+          </p>
+          <ul>
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}><code>{recoveryCode}</code></li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!user?.twoFactorEnabled && !setup && (
+        <button className="btn btn-primary" onClick={handleStartSetup} disabled={loading}>
+          <FiShield /> Enable Two-Factor Authentication
+        </button>
+      )}
+
+      {!user?.twoFactorEnabled && setup && (
+        <form onSubmit={handleConfirm}>
+          <ol className="setup-steps">
+            <li>
+              Add this account to your authenticator app by opening the{' '}
+              <a href={setup.otpauthUri}>setup link</a> on your phone, or enter the key manually:
+              <code className="secret-key">{setup.secret}</code>
+            </li>
+            <li>Enter the 6-digit code the app shows to finish setup.</li>
+          </ol>
+
+          <div className="input-group">
+            <label htmlFor="confirm-code">Authentication Code</label>
+            <input
+              type="text"
+              id="confirm-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+            />
+          </div>
+
+          <div className="settings-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setSetup(null)} disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              <FiCheck /> Confirm
+            </button>
+          </div>
+        </form>
+      )}
+
+      {user?.twoFactorEnabled && (
+        <form onSubmit={handleDisable}>
+          <div className="form-row">
+            <div className="input-group">
+              <label htmlFor="disable-password">Current Password</label>
+              <input
+                type="password"
+                id="disable-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="input-group">
+              <label htmlFor="disable-code">Authentication Code</label>
+              <input
+                type="text"
+                id="disable-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+              />
+            </div>
+          </div>
+
+          <div className="settings-actions">
+            <button type="submit" className="btn btn-danger" disabled={loading}>
+              <FiShieldOff /> Disable Two-Factor Authentication
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,81 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { FiUnlock, FiCheckCircle, FiAlertCircle } from 'react-icons/fi';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'unlocking' : 'failed');
+  const [message, setMessage] = useState('');
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only submit once (StrictMode runs effects twice)
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    const unlock = async () => {
+      try {
+        const response = await authAPI.unlockAccount(token);
+        setMessage(response.data.message);
+        setStatus('unlocked');
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Unlock link is invalid or has expired');
+        setStatus('failed');
+      }
+    };
+
+    unlock();
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card fade-in">
+        <div className="auth-header">
+          <h1>Unlock Account</h1>
+          <p>Restore access after too many sign-in attempts</p>
+        </div>
+
+        {status === 'unlocking' && (
+          <div className="verification-message">
+            <FiUnlock />
+            <h3>Unlocking your account...</h3>
+            <p>This will only take a moment.</p>
+          </div>
+        )}
+
+        {status === 'unlocked' && (
+          <div className="verification-message">
+            <FiCheckCircle />
+            <h3>Account unlocked</h3>
+            <p>{message}</p>
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="verification-message">
+            <FiAlertCircle />
+            <h3>Unlock failed</h3>
+            <p>{message || 'Use the link from your account locked email.'} Your account will also unlock automatically once the lock period ends.</p>
+          </div>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link to="/login" className="auth-link">
+              Back to sign in
+            </Link>
+            {' · '}
+            <Link to="/forgot-password" className="auth-link">
+              Reset password
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
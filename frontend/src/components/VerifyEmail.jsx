@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiMail, FiCheckCircle, FiAlertCircle, FiSend } from 'react-icons/fi';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'pending');
+  const [email, setEmail] = useState(location.state?.email || '');
+  const [loading, setLoading] = useState(false);
+  const verifiedRef = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only submit once (StrictMode runs effects twice)
+    if (!token || verifiedRef.current) return;
+    verifiedRef.current = true;
+
+    const verify = async () => {
+      try {
+        await authAPI.verifyEmail(token);
+        setStatus('verified');
+      } catch (error) {
+        console.error('Email verification failed:', error);
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.resendVerification(email.trim());
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resend verification email');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderMessage = () => {
+    switch (status) {
+      case 'verifying':
+        return (
+          <div className="verification-message">
+            <FiMail />
+            <h3>Verifying your email...</h3>
+            <p>This will only take a moment.</p>
+          </div>
+        );
+      case 'verified':
+        return (
+          <div className="verification-message">
+            <FiCheckCircle />
+            <h3>Email verified</h3>
+            <p>Your account is ready. You can now sign in.</p>
+          </div>
+        );
+      case 'failed':
+        return (
+          <div className="verification-message">
+            <FiAlertCircle />
+            <h3>Verification failed</h3>
+            <p>This link is invalid or has expired. Request a new one below.</p>
+          </div>
+        );
+      default:
+        return (
+          <div className="verification-message">
+            <FiMail />
+            <h3>Check your inbox</h3>
+            <p>We sent a verification link to your email address. Click it to activate your account.</p>
+          </div>
+        );
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card fade-in">
+        <div className="auth-header">
+          <h1>Verify Email</h1>
+          <p>Confirm your email address to continue</p>
+        </div>
+
+        {renderMessage()}
+
+        {status !== 'verified' && status !== 'verifying' && (
+          <form onSubmit={handleResend} className="auth-form">
+            <div className="input-group">
+              <label htmlFor="email">
+                <FiMail /> Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="your.email@example.com"
+                required
+              />
+            </div>
+
+            <button type="submit" className="btn btn-secondary btn-block" disabled={loading}>
+              {loading ? 'Sending...' : <><FiSend /> Resend Verification Email</>}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link to="/login" className="auth-link">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
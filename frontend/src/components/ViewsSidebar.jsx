@@ -0,0 +1,69 @@
+import React from 'react';
+import { FiBookmark, FiLayout, FiTrash2, FiUsers, FiLock } from 'react-icons/fi';
+
+// Personal and shared saved views, with a button to save the current board
+const ViewsSidebar = ({ views, activeViewId, onSelect, onSave, onToggleShare, onDelete }) => {
+  const ownViews = views.filter(view => view.isOwner);
+  const sharedViews = views.filter(view => !view.isOwner);
+
+  const renderView = (view) => (
+    <li key={view.id} className={`view-item ${activeViewId === view.id ? 'active' : ''}`}>
+      <button type="button" className="view-select" onClick={() => onSelect(view)}>
+        {view.name}
+        {!view.isOwner && <small>{view.owner?.name}</small>}
+      </button>
+      {view.isOwner && (
+        <div className="view-actions">
+          <button
+            type="button"
+            className="icon-btn"
+            onClick={() => onToggleShare(view)}
+            title={view.shared ? 'Shared with the team - click to make private' : 'Private - click to share'}
+          >
+            {view.shared ? <FiUsers /> : <FiLock />}
+          </button>
+          <button
+            type="button"
+            className="icon-btn delete-btn"
+            onClick={() => onDelete(view)}
+            title="Delete view"
+          >
+            <FiTrash2 />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+
+  return (
+    <aside className="views-sidebar">
+      <button
+        type="button"
+        className={`view-select view-all ${!activeViewId ? 'active' : ''}`}
+        onClick={() => onSelect(null)}
+      >
+        <FiLayout /> All tasks
+      </button>
+
+      <h4>My views</h4>
+      {ownViews.length > 0 ? (
+        <ul className="view-list">{ownViews.map(renderView)}</ul>
+      ) : (
+        <p className="views-empty">Save the current filters to come back to them later.</p>
+      )}
+
+      {sharedViews.length > 0 && (
+        <>
+          <h4>Shared views</h4>
+          <ul className="view-list">{sharedViews.map(renderView)}</ul>
+        </>
+      )}
+
+      <button type="button" className="btn btn-secondary btn-sm save-view" onClick={onSave}>
+        <FiBookmark /> Save current view
+      </button>
+    </aside>
+  );
+};
+
+export default ViewsSidebar;
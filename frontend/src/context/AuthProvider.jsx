@@ -1,19 +1,33 @@
 import React, { useState, useEffect } from "react";
 import axios from "axios";
 import { AuthContext } from "./AuthContext";
+import { authAPI, onTokenChange, setTokens } from "../services/api";
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem("token"));
   const [loading, setLoading] = useState(true);
+  // Token refreshes change the token but not who is signed in
+  const isSignedIn = Boolean(token);
 
-  const logout = () => {
-    localStorage.removeItem("token");
-    setToken(null);
+  const clearSession = () => {
+    setTokens(null);
     setUser(null);
-    delete axios.defaults.headers.common["Authorization"];
   };
 
+  const logout = async () => {
+    // Revoke the session server-side; clear local state regardless
+    try {
+      await authAPI.logout();
+    } catch (err) {
+      console.error("Failed to revoke session:", err);
+    }
+    clearSession();
+  };
+
+  // Keep state in sync when the API layer refreshes or drops the token
+  useEffect(() => onTokenChange((newToken) => setToken(newToken)), []);
+
   useEffect(() => {
     if (token) {
       axios.defaults.headers.common["Authorization"] = `Bearer ${token}`;
@@ -24,7 +38,7 @@ export const AuthProvider = ({ children }) => {
 
   useEffect(() => {
     const loadUser = async () => {
-      if (!token) {
+      if (!isSignedIn) {
         setLoading(false);
         return;
       }
@@ -36,18 +50,17 @@ export const AuthProvider = ({ children }) => {
         setUser(res.data.user);
       } catch (err) {
         console.error("Failed to load user:", err);
-        logout();
+        clearSession();
       } finally {
         setLoading(false);
       }
     };
 
     loadUser();
-  }, [token]);
+  }, [isSignedIn]);
 
-  const login = (newToken, userData) => {
-    localStorage.setItem("token", newToken);
-    setToken(newToken);
+  const login = (newToken, userData, refreshToken) => {
+    setTokens(newToken, refreshToken);
     setUser(userData);
   };
 
@@ -55,9 +68,11 @@ export const AuthProvider = ({ children }) => {
     setUser(userData);
   };
 
+  const isAdmin = user?.role === "admin";
+
   return (
     <AuthContext.Provider
-      value={{ user, token, login, logout, updateUser, loading }}
+      value={{ user, token, login, logout, updateUser, loading, isAdmin }}
     >
       {children}
     </AuthContext.Provider>
@@ -1,93 +1,120 @@
 import { useEffect, useRef, useState } from 'react';
 import { useAuth } from '../context/useAuth';
+import { wsAPI } from '../services/api';
 
 export const useWebSocket = (onMessage) => {
   const { token } = useAuth();
+  // Silent token refreshes mustn't drop the connection, so only signing in
+  // or out reconnects. Tickets are fetched with the current token anyway.
+  const isSignedIn = Boolean(token);
   const wsRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const reconnectAttemptsRef = useRef(0);
   const [isConnected, setIsConnected] = useState(false);
   const mountedRef = useRef(true);
+  const onMessageRef = useRef(onMessage);
+
+  // The connection outlives renders, so always hand messages to the latest
+  // handler rather than the one from the render that connected
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  });
 
   useEffect(() => {
     mountedRef.current = true;
     
-    // Don't connect if no token
-    if (!token) {
+    // Don't connect if signed out
+    if (!isSignedIn) {
       console.log('No token, skipping WebSocket');
       return;
     }
 
-    // Don't create duplicate connections
-    if (wsRef.current?.readyState === WebSocket.OPEN || 
-        wsRef.current?.readyState === WebSocket.CONNECTING) {
-      console.log('WebSocket already exists, skipping');
-      return;
-    }
+    const connect = async () => {
+      // Don't create duplicate connections
+      if (wsRef.current?.readyState === WebSocket.OPEN || 
+          wsRef.current?.readyState === WebSocket.CONNECTING) {
+        console.log('WebSocket already exists, skipping');
+        return;
+      }
 
-    console.log('Creating WebSocket connection...');
-    
-    const wsUrl = `${import.meta.env.VITE_WS_URL}?token=${token}`;
-    const ws = new WebSocket(wsUrl);
-    wsRef.current = ws;
+      console.log('Creating WebSocket connection...');
 
-    ws.onopen = () => {
-      if (!mountedRef.current) return;
-      
-      console.log('✅ WebSocket connected');
-      setIsConnected(true);
-      reconnectAttemptsRef.current = 0;
-    };
-
-    ws.onmessage = (event) => {
-      if (!mountedRef.current) return;
-      
+      // Exchange the session for a short-lived, single-use ticket so the
+      // access token never appears in the connection URL
+      let ticket;
       try {
-        const data = JSON.parse(event.data);
-        if (data.type !== 'PONG' && data.type !== 'CONNECTED' && onMessage) {
-          onMessage(data);
-        }
+        const response = await wsAPI.getTicket();
+        ticket = response.data.ticket;
       } catch (error) {
-        console.error('WebSocket message error:', error);
+        console.error('❌ Failed to get WebSocket ticket:', error);
+        return;
       }
-    };
-
-    ws.onerror = (error) => {
-      console.error('❌ WebSocket error:', error);
-    };
 
-    ws.onclose = (event) => {
       if (!mountedRef.current) return;
-      
-      console.log('WebSocket closed:', event.code);
-      setIsConnected(false);
-      wsRef.current = null;
-
-      // Only reconnect if:
-      // 1. Component is still mounted
-      // 2. Not a clean close (1000)
-      // 3. Less than 3 attempts
-      // 4. Still have token
-      if (mountedRef.current && 
-          event.code !== 1000 && 
-          reconnectAttemptsRef.current < 3 && 
-          token) {
-        
-        reconnectAttemptsRef.current += 1;
-        const delay = 3000 * reconnectAttemptsRef.current;
+
+      const wsUrl = `${import.meta.env.VITE_WS_URL}?ticket=${encodeURIComponent(ticket)}`;
+      const ws = new WebSocket(wsUrl);
+      wsRef.current = ws;
+
+      ws.onopen = () => {
+        if (!mountedRef.current) return;
         
-        console.log(`Reconnecting in ${delay}ms (attempt ${reconnectAttemptsRef.current}/3)`);
+        console.log('✅ WebSocket connected');
+        setIsConnected(true);
+        reconnectAttemptsRef.current = 0;
+      };
+
+      ws.onmessage = (event) => {
+        if (!mountedRef.current) return;
         
-        reconnectTimeoutRef.current = setTimeout(() => {
-          if (mountedRef.current && token) {
-            console.log('Attempting reconnect...');
-            // Force a re-render to trigger reconnection
-            setIsConnected(false);
+        try {
+          const data = JSON.parse(event.data);
+          if (data.type !== 'PONG' && data.type !== 'CONNECTED' && onMessageRef.current) {
+            onMessageRef.current(data);
           }
-        }, delay);
-      }
+        } catch (error) {
+          console.error('WebSocket message error:', error);
+        }
+      };
+
+      ws.onerror = (error) => {
+        console.error('❌ WebSocket error:', error);
+      };
+
+      ws.onclose = (event) => {
+        if (!mountedRef.current) return;
+        
+        console.log('WebSocket closed:', event.code);
+        setIsConnected(false);
+        wsRef.current = null;
+
+        // Only reconnect if:
+        // 1. Component is still mounted
+        // 2. Not a clean close (1000) or a revoked session (4001)
+        // 3. Less than 3 attempts
+        if (mountedRef.current && 
+            event.code !== 1000 && 
+            event.code !== 4001 &&
+            reconnectAttemptsRef.current < 3) {
+          
+          reconnectAttemptsRef.current += 1;
+          const delay = 3000 * reconnectAttemptsRef.current;
+          
+          console.log(`Reconnecting in ${delay}ms (attempt ${reconnectAttemptsRef.current}/3)`);
+          
+          reconnectTimeoutRef.current = setTimeout(() => {
+            if (mountedRef.current) {
+              console.log('Attempting reconnect...');
+              // Each attempt needs a fresh ticket
+              connect();
+            }
+          }, delay);
+        }
+      };
     };
 
+    connect();
+
     // Cleanup function
     return () => {
       mountedRef.current = false;
@@ -104,7 +131,7 @@ export const useWebSocket = (onMessage) => {
         wsRef.current = null;
       }
     };
-  }, [token]); // Only depend on token, NOT onMessage!
+  }, [isSignedIn]); // onMessage is read through onMessageRef
 
   return { isConnected };
 };
\ No newline at end of file
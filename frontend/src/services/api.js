@@ -5,15 +5,49 @@ const API_URL = import.meta.env.VITE_API_URL;
 // Configure axios
 axios.defaults.baseURL = API_URL;
 
+// Uploaded files are served from the server root, not under /api
+const SERVER_URL = (API_URL || '').replace(/\/api\/?$/, '');
+
+export const getAvatarUrl = (user) =>
+  user?.avatar ? `${SERVER_URL}/uploads/${user.avatar}` : null;
+
+// Browser-bound nonce for a pending magic sign-in link
+export const MAGIC_LINK_NONCE_KEY = 'magicLinkNonce';
+
 // Auth API
 export const authAPI = {
+  getRegistrationConfig: () => axios.get('/auth/registration'),
+  getInvitation: (token) => axios.get(`/auth/invitations/${token}`),
   register: (data) => axios.post('/auth/register', data),
   login: (data) => axios.post('/auth/login', data),
+  loginTwoFactor: (data) => axios.post('/auth/login/2fa', data),
+  requestMagicLink: (email) => axios.post('/auth/magic-link', { email }),
+  verifyMagicLink: (token, nonce) => axios.post('/auth/magic-link/verify', { token, nonce }),
+  getOidcConfig: () => axios.get('/auth/oidc/config'),
+  oidcLoginUrl: () => `${API_URL}/auth/oidc/login`,
   verifyEmail: (token) => axios.get(`/auth/verify-email/${token}`),
   forgotPassword: (email) => axios.post('/auth/forgot-password', { email }),
   resetPassword: (token, password) => axios.post(`/auth/reset-password/${token}`, { password }),
   resendVerification: (email) => axios.post('/auth/resend-verification', { email }),
-  getMe: () => axios.get('/auth/me')
+  unlockAccount: (token) => axios.get(`/auth/unlock-account/${token}`),
+  refresh: (refreshToken) => axios.post('/auth/refresh', { refreshToken }),
+  logout: () => axios.post('/auth/logout'),
+  getMe: () => axios.get('/auth/me'),
+  updateMe: (data) => axios.put('/auth/me', data),
+  updatePassword: (data) => axios.put('/auth/password', data),
+  uploadAvatar: (formData) => axios.put('/auth/me/avatar', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  deleteAvatar: () => axios.delete('/auth/me/avatar'),
+  exportMyData: () => axios.get('/auth/me/export', { responseType: 'blob' }),
+  scheduleDeletion: (data) => axios.post('/auth/me/deletion', data),
+  cancelDeletion: () => axios.delete('/auth/me/deletion'),
+  getSessions: () => axios.get('/auth/sessions'),
+  revokeSession: (id) => axios.delete(`/auth/sessions/${id}`),
+  revokeAllSessions: () => axios.delete('/auth/sessions'),
+  setupTwoFactor: () => axios.post('/auth/2fa/setup'),
+  confirmTwoFactor: (code) => axios.post('/auth/2fa/confirm', { code }),
+  disableTwoFactor: (data) => axios.post('/auth/2fa/disable', data)
 };
 
 // Task API
@@ -23,7 +57,21 @@ export const taskAPI = {
   createTask: (data) => axios.post('/tasks', data),
   updateTask: (id, data) => axios.put(`/tasks/${id}`, data),
   deleteTask: (id) => axios.delete(`/tasks/${id}`),
+  bulkUpdateTasks: (data) => axios.post('/tasks/bulk', data),
+  getTrash: (params) => axios.get('/tasks/trash', { params }),
+  restoreTask: (id) => axios.post(`/tasks/${id}/restore`),
   addComment: (id, text) => axios.post(`/tasks/${id}/comments`, { text }),
+  addWatcher: (id, userId) => axios.post(`/tasks/${id}/watchers`, { userId }),
+  removeWatcher: (id, userId) => axios.delete(`/tasks/${id}/watchers/${userId}`),
+  addChecklistItem: (id, data) => axios.post(`/tasks/${id}/checklist`, data),
+  updateChecklistItem: (id, itemId, data) => axios.put(`/tasks/${id}/checklist/${itemId}`, data),
+  removeChecklistItem: (id, itemId) => axios.delete(`/tasks/${id}/checklist/${itemId}`),
+  getSubtasks: (id) => axios.get(`/tasks/${id}/subtasks`),
+  addSubtask: (id, data) => axios.post(`/tasks/${id}/subtasks`, data),
+  removeSubtask: (id, subtaskId) => axios.delete(`/tasks/${id}/subtasks/${subtaskId}`),
+  getDependencies: (id) => axios.get(`/tasks/${id}/dependencies`),
+  addDependency: (id, taskId) => axios.post(`/tasks/${id}/dependencies`, { taskId }),
+  removeDependency: (id, blockerId) => axios.delete(`/tasks/${id}/dependencies/${blockerId}`),
   addAttachment: (id, formData) => axios.post(`/tasks/${id}/attachments`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
@@ -36,18 +84,132 @@ export const taskAPI = {
 export const userAPI = {
   getUsers: () => axios.get('/users'),
   getUser: (id) => axios.get(`/users/${id}`),
+  updateUserRole: (id, role) => axios.put(`/users/${id}/role`, { role }),
   deleteUser: (id, reassignTo) => axios.delete(`/users/${id}`, { data: { reassignTo } }),
   getUserStats: (id) => axios.get(`/users/${id}/stats`)
 };
 
+// Personal access token API
+export const tokenAPI = {
+  getTokens: () => axios.get('/tokens'),
+  createToken: (data) => axios.post('/tokens', data),
+  revokeToken: (id) => axios.delete(`/tokens/${id}`)
+};
+
+// Invitation API (admin only)
+export const invitationAPI = {
+  getInvitations: () => axios.get('/invitations'),
+  createInvitation: (data) => axios.post('/invitations', data),
+  resendInvitation: (id) => axios.post(`/invitations/${id}/resend`),
+  revokeInvitation: (id) => axios.delete(`/invitations/${id}`)
+};
+
+// Security event API
+export const securityAPI = {
+  getMyEvents: (params) => axios.get('/security-events/me', { params }),
+  getEvents: (params) => axios.get('/security-events', { params }),
+  updateAlertSettings: (newDeviceAlerts) => axios.put('/security-events/alerts', { newDeviceAlerts })
+};
+
+// Saved view API
+export const viewAPI = {
+  getViews: () => axios.get('/views'),
+  createView: (data) => axios.post('/views', data),
+  updateView: (id, data) => axios.put(`/views/${id}`, data),
+  deleteView: (id) => axios.delete(`/views/${id}`)
+};
+
+// WebSocket API
+export const wsAPI = {
+  getTicket: () => axios.post('/ws/ticket')
+};
+
+// Token refresh
+// Listeners are notified with the new access token (or null when the session ends)
+const tokenListeners = new Set();
+
+export const onTokenChange = (listener) => {
+  tokenListeners.add(listener);
+  return () => tokenListeners.delete(listener);
+};
+
+export const setTokens = (token, refreshToken) => {
+  if (token) {
+    localStorage.setItem('token', token);
+    axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem('token');
+    delete axios.defaults.headers.common['Authorization'];
+  }
+
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  } else if (!token) {
+    localStorage.removeItem('refreshToken');
+  }
+
+  tokenListeners.forEach((listener) => listener(token));
+};
+
+// Single in-flight refresh shared by all requests that fail with 401
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  try {
+    const response = await axios.post('/auth/refresh', { refreshToken }, { _skipAuthRefresh: true });
+    setTokens(response.data.token, response.data.refreshToken);
+    return response.data.token;
+  } catch (error) {
+    // Another tab may have rotated the token in the meantime
+    const latestToken = localStorage.getItem('token');
+    if (localStorage.getItem('refreshToken') !== refreshToken && latestToken) {
+      setTokens(latestToken);
+      return latestToken;
+    }
+    throw error;
+  }
+};
+
 // Response interceptor for error handling
 axios.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !originalRequest._skipAuthRefresh &&
+      localStorage.getItem('refreshToken')
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        if (!refreshPromise) {
+          refreshPromise = refreshAccessToken().finally(() => {
+            refreshPromise = null;
+          });
+        }
+        const token = await refreshPromise;
+        originalRequest.headers['Authorization'] = `Bearer ${token}`;
+        return axios(originalRequest);
+      } catch {
+        // Refresh failed, fall through to sign out
+      }
+    }
+
+    if (error.response?.status === 401 && !originalRequest?._skipAuthRefresh) {
+      // Session expired or revoked
+      setTokens(null);
+      if (window.location.pathname !== '/login') {
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }